@@ -182,12 +182,12 @@ var parseArgs = function parseArgs() {
  */
 var buildApp = exports.buildApp = function buildApp() {
   var mathSvc = dorusu.pb.requireProto('./math', require).math.Math;
-  var a = mathSvc.serverApp;
-  a.register('/math.Math/DivMany', mathDiv);
-  a.register('/math.Math/Div', mathDiv);
-  a.register('/math.Math/Fib', mathFib);
-  a.register('/math.Math/Sum', mathSum);
-  return a;
+  return mathSvc.serverApp.registerService('math.Math', {
+    divMany: mathDiv,
+    div: mathDiv,
+    fib: mathFib,
+    sum: mathSum
+  });
 };
 
 /**
@@ -602,6 +602,38 @@ exports.emptyStream = function emptyStream(client, next) {
   });
 };
 
+/**
+ * Verifies that an rpc fails with rpc code UNIMPLEMENTED.
+ */
+var verifyUnimplemented = function verifyUnimplemented(name, next) {
+  var done = next || _.noop;
+  return function(response) {
+    var theStatus;
+    response.on('data', _.noop);
+    response.on('error', _.noop);
+    response.on('status', function(status) {
+      theStatus = status;
+    });
+    response.on('end', function() {
+      expect(theStatus.code).to.equal(dorusu.rpcCode('UNIMPLEMENTED'));
+      log.info('Verified:', name, 'is unimplemented:', theStatus);
+      done();
+    });
+  };
+};
+
+exports.unimplementedMethod = function unimplementedMethod(client, next) {
+  client.unimplementedCall({},
+                           verifyUnimplemented('unimplementedCall', next));
+};
+
+exports.unimplementedService = function unimplementedService(client, next) {
+  // The client only has the TestService methods, so post the empty message
+  // directly to the route of UnimplementedService.
+  var route = '/grpc.testing.UnimplementedService/UnimplementedCall';
+  client.stub.post(route, '', verifyUnimplemented(route, next));
+};
+
 exports.runInteropTest = function runInteropTest(client, testCase, next) {
   var done = next || _.noop;
   if (_.has(exports.withoutAuthTests, testCase)) {
@@ -635,7 +667,9 @@ exports.withoutAuthTests = {
   server_streaming: exports.serverStreaming,
   ping_pong: exports.pingPong,
   empty_stream: exports.emptyStream,
-  timeout_on_sleeping_server: exports.timeoutOnSleeper
+  timeout_on_sleeping_server: exports.timeoutOnSleeper,
+  unimplemented_method: exports.unimplementedMethod,
+  unimplemented_service: exports.unimplementedService
 };
 
 /**
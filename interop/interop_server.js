@@ -166,24 +166,20 @@ function streamingOutputCall(request, response) {
  * Builds the `app.RpcApp` that provides the test service implementation
  *
  * - Creates the app with the service defined in test.proto
- * - Registers the handlers defined in this file
+ * - Registers the handlers defined in this file; HalfDuplexCall and
+ *   UnimplementedCall are unimplemented
  *
  * @returns {app.RpcApp} providing the interop service implementation
  */
 var buildApp = exports.buildApp = function buildApp() {
   var svc = dorusu.pb.requireProto('./test', require).grpc.testing.TestService;
-  var a = svc.serverApp;
-  a.register('/grpc.testing.TestService/EmptyCall', emptyCall);
-  a.register('/grpc.testing.TestService/UnaryCall', unaryCall);
-  a.register('/grpc.testing.TestService/StreamingInputCall',
-             streamingInputCall);
-  a.register('/grpc.testing.TestService/StreamingOutputCall',
-             streamingOutputCall);
-  a.register('/grpc.testing.TestService/FullDuplexCall',
-             streamingOutputCall);
-  a.register('/grpc.testing.TestService/HalfDuplexCall',
-             dorusu.notFound);
-  return a;
+  return svc.serverApp.registerService('grpc.testing.TestService', {
+    emptyCall: emptyCall,
+    unaryCall: unaryCall,
+    streamingInputCall: streamingInputCall,
+    streamingOutputCall: streamingOutputCall,
+    fullDuplexCall: streamingOutputCall
+  }, {fillUnimplemented: true});
 };
 
 
@@ -54,20 +54,92 @@ var client = require('./client');
  * @param {function} [marshaller] marshals the response|request to a `Buffer`
  * @param {function} [unmarshaller] unmarshals the request|response from a
  *                                  `Buffer`
- * @param {function} [clientStreams] indicates that the client can send more
- *                                   than message as part of the rpc
+ * @param {boolean} [requestStream] indicates that the client can send more
+ *                                   than one message as part of the rpc
+ * @param {boolean} [responseStream] indicates that the server can send more
+ *                                    than one message as part of the rpc
+ * @param {object} [opts] configures the method
+ * @param {number} [opts.maxReceiveMessageLength] the maximum length of the
+ *                                                messages received by the
+ *                                                method; it overrides the
+ *                                                client's or server's limit
+ * @param {number} [opts.maxSendMessageLength] the maximum length of the
+ *                                             messages sent by the method; it
+ *                                             overrides the client's or
+ *                                             server's limit
  * @constructor
  */
-function Method(name, marshaller, unmarshaller, clientStreams) {
+function Method(name, marshaller, unmarshaller, requestStream, responseStream,
+                opts) {
   // allow use without new
   if (!(this instanceof Method)) {
-    return new Method(name, marshaller, unmarshaller, clientStreams);
+    return new Method(name, marshaller, unmarshaller, requestStream,
+                      responseStream, opts);
   }
+  opts = opts || {};
 
   this.name = name;
   this.marshaller = marshaller;
   this.unmarshaller = unmarshaller;
-  this.clientStreams = !!clientStreams;
+  this.requestStream = !!requestStream;
+  this.responseStream = !!responseStream;
+  this.clientStreams = this.requestStream;  /* the original name */
+
+  /**
+   * The kind of the method, one of `UNARY`, `CLIENT_STREAMING`,
+   * `SERVER_STREAMING` or `BIDI`.
+   *
+   * @type {string}
+   * @name Method#kind
+   */
+  this.kind = methodKind(this.requestStream, this.responseStream);
+
+  /**
+   * The maximum lengths of the messages received and sent by the method, if
+   * set.  Messages that are longer fail the rpc with RESOURCE_EXHAUSTED.
+   *
+   * @type {number|undefined}
+   * @name Method#maxReceiveMessageLength
+   */
+  this.maxReceiveMessageLength = opts.maxReceiveMessageLength;
+
+  /**
+   * @type {number|undefined}
+   * @name Method#maxSendMessageLength
+   */
+  this.maxSendMessageLength = opts.maxSendMessageLength;
+}
+
+/**
+ * The kinds of method, determined by whether their requests and responses
+ * stream.
+ */
+exports.UNARY = 'unary';
+exports.CLIENT_STREAMING = 'client_streaming';
+exports.SERVER_STREAMING = 'server_streaming';
+exports.BIDI = 'bidi';
+
+function methodKind(requestStream, responseStream) {
+  if (requestStream) {
+    return responseStream ? exports.BIDI : exports.CLIENT_STREAMING;
+  }
+  return responseStream ? exports.SERVER_STREAMING : exports.UNARY;
+}
+
+/**
+ * Adds a method's message length limits to the options of one of its rpcs,
+ * unless the options already set them.
+ *
+ * @param {Method} method the method being invoked
+ * @param {object} [opts] the options of the rpc
+ * @returns {object|undefined} the options with the limits added
+ */
+function withLimits(method, opts) {
+  var limits = _.omit({
+    maxReceiveMessageLength: method.maxReceiveMessageLength,
+    maxSendMessageLength: method.maxSendMessageLength
+  }, _.isUndefined);
+  return _.isEmpty(limits) ? opts : _.defaults({}, opts, limits);
 }
 
 
@@ -77,16 +149,20 @@ function Method(name, marshaller, unmarshaller, clientStreams) {
  * It consists of name, the methods that make up the service.
  * @param {string} name the name of the service
  * @param {Method[]} methods the methods that make up the service
+ * @param {external:Buffer[]} [fileDescriptors] the encoded
+ *   `google.protobuf.FileDescriptorProto` of the file that defines the
+ *   service, followed by those of the files it depends on
  * @constructor
  */
-function Service(name, methods) {
+function Service(name, methods, fileDescriptors) {
   // allow use without new
   if (!(this instanceof Service)) {
-    return new Service(name, methods);
+    return new Service(name, methods, fileDescriptors);
   }
 
   this.name = name;
   this.methods = methods;
+  this.fileDescriptors = fileDescriptors || [];
 }
 
 
@@ -104,6 +180,8 @@ function Service(name, methods) {
 function RpcApp() {
   this._unmarshallers = {};
   this._handlers = {};
+  this._methods = {};
+  this._middleware = [];
   this._requiredRoutes = [];
   this._marshallers = {};
   this._services = {};
@@ -135,16 +213,42 @@ exports.buildClient = function buildClient(service) {
     var route = '/' + service.name + '/' + m.name;
 
     /**
+     * When callback is omitted, i.e, the method is called as method(src,
+     * opts) or method(src, undefined, opts), it returns a `Promise` of the
+     * rpc's single response as described by `client.unaryRpc`.  This is not
+     * allowed for methods that stream responses.
+     *
+     * src may only give a series of messages if the method streams requests.
+     *
      * @param {Object|external:Readable} src either the message to send or a
      *                                       Readable giving a series of them
      * @param {Object} headers sent along wih the message(s)
      * @param {Object} opts holds optional info affecting the rpc
      * @param {Object} opts.headers holds the rpc headers
+     * @param {boolean} [opts.waitForReady] when true, the rpc waits for the
+     *                                      connection to be ready
+     * @param {Object} [opts.parent] the server request being handled, whose
+     *                               deadline and cancellation are propagated
+     *                               to the rpc
+     * @param {boolean} [opts.propagateCancel] when false, the rpc is not
+     *                                         cancelled with its parent
      * @param {function} callback a node-js callback called with the response.
      */
     var method = function method(src, callback, opts) {
+      if (!m.requestStream && client.isMessageStream(src)) {
+        throw new TypeError(route + ' does not accept a stream of messages');
+      }
       var f = this.stub.rpcFunc(m.marshaller, m.unmarshaller);
-      return f(route, src, callback, opts);
+      if (!_.isFunction(callback)) {
+        if (m.responseStream) {
+          throw new TypeError(route + ' streams responses; use a callback');
+        }
+        // opts may follow an undefined callback, as method(src, undefined,
+        // opts)
+        var unaryOpts = _.isUndefined(callback) ? opts : callback;
+        return client.unaryRpc(f, route, src, withLimits(m, unaryOpts));
+      }
+      return f(route, src, callback, withLimits(m, opts));
     };
     Client.prototype[_.camelCase(m.name)] = method;
   });
@@ -190,6 +294,7 @@ RpcApp.prototype.addService = function addService(svc) {
       throw new Error('route is already registered');
     }
     this._requiredRoutes.push(route);
+    this._methods[route] = m;
     this._unmarshallers[route] = m.unmarshaller;
     this._marshallers[route] = m.marshaller;
   });
@@ -200,21 +305,30 @@ RpcApp.prototype.addService = function addService(svc) {
  *
  * registration must occur after the service which the handler helps to implemnt
  * has been added to the app.  Multiple registrations of the same route are not
- * allowed.
+ * allowed.  `registerService` registers all the handlers of a service at once.
  *
- * TODO: add a registerObject(...) function to address the following feedback:
+ * When opts.async is true, handler is called with the request message and the
+ * request's `CallContext` rather than the request and response.  It's usually
+ * an async function or an async generator function:
  *
- * Since the set of possible routes is predefined by the proto and setting an
- * arbitrarily named route results in an error, I would guess handlers may
- * frequently be attached all at the same time at a per-service or per-app
- * granularity (as is done in the math example).  To support this style, maybe
- * the api could have a different function which takes all of the handlers for a
- * service simultaneously. potentially as an object of the form
+ * - an async function returns (a Promise of) the response message; the rpc
+ *   fails with INTERNAL if there's none and the method does not stream
+ *   responses
+ * - an async generator function yields each of the response messages
+ *
+ * When the route's method has client streaming, such a handler is called with
+ * the request itself, which is consumed as an async iterable of the request
+ * messages.
  *
  * @param {string} route the route to be handled by handler
- * @param {function} handler a function(request, response) to handle the request
+ * @param {function} handler a function(request, response) to handle the
+ *                           request, or a function(msg, context) if
+ *                           opts.async is true
+ * @param {object} [opts] configures the registration
+ * @param {boolean} [opts.async] when true, handler is called with the request
+ *                               message and returns the response
  */
-RpcApp.prototype.register = function register(route, handler) {
+RpcApp.prototype.register = function register(route, handler, opts) {
   if (this._handlers[route]) {
     console.error('route', route, 'is already registered');
     throw new Error('route is already registered');
@@ -223,9 +337,131 @@ RpcApp.prototype.register = function register(route, handler) {
     console.error('route', route, 'is not required');
     throw new Error('route is not required');
   }
+  if (opts && opts.async) {
+    if (!_.isFunction(handler)) {
+      throw new TypeError('the handler of ' + route + ' must be a function');
+    }
+    handler = adaptAsyncHandler(handler, this._methods[route]);
+  }
   this._handlers[route] = handler;
 };
 
+/**
+ * Registers the handlers for all the methods of a service.
+ *
+ * impl is an object whose properties are the handlers of the service's
+ * methods.  Each property is named with either the method name or its
+ * camelCase form, e.g, either 'DivMany' or 'divMany'.  The handlers are called
+ * with impl as `this`.
+ *
+ * @param {string} serviceName the name of a service added to the app
+ * @param {object} impl the handlers of the service's methods
+ * @param {object} [opts] configures the registration
+ * @param {boolean} [opts.fillUnimplemented] when true, methods missing from
+ *                                           impl are registered with a
+ *                                           handler that responds with
+ *                                           UNIMPLEMENTED
+ * @param {boolean} [opts.async] when true, the handlers are registered with
+ *                               the async option of `register`
+ * @returns {RpcApp} this app, allowing calls to be chained
+ * @throws {Error} if the service is unknown or impl has unknown properties
+ */
+RpcApp.prototype.registerService =
+  function registerService(serviceName, impl, opts) {
+    opts = opts || {};
+    var svc = this._services[serviceName];
+    if (!svc) {
+      console.error('service', serviceName, 'is not present');
+      throw new Error('service is not present');
+    }
+    var routes = {};
+    _.forEach(svc.methods, (m) => {
+      var route = '/' + svc.name + '/' + m.name;
+      routes[m.name] = route;
+      routes[_.camelCase(m.name)] = route;
+    });
+    var handlers = {};
+    _.forEach(implKeys(impl), (key) => {
+      var route = routes[key];
+      if (!route) {
+        console.error('method', key, 'is not in service', serviceName);
+        throw new Error('method is not in the service');
+      }
+      if (handlers[route]) {
+        console.error('method', key, 'is implemented more than once');
+        throw new Error('method is implemented more than once');
+      }
+      if (!_.isFunction(impl[key])) {
+        throw new TypeError('the handler of ' + key + ' must be a function');
+      }
+      handlers[route] = impl[key].bind(impl);
+    });
+    _.forEach(_.uniq(_.values(routes)), (route) => {
+      if (handlers[route]) {
+        this.register(route, handlers[route], {async: opts.async});
+      } else if (opts.fillUnimplemented) {
+        this.register(route, dorusu.unimplemented);
+      }
+    });
+    return this;
+  };
+
+/**
+ * Adds middleware that runs before the handlers of the app's routes.
+ *
+ * Middleware is a function(request, response, next) that is run in the order
+ * it was added.  It either
+ *
+ * - calls `next()` to continue with the next middleware or the route handler
+ * - calls `next(err)` to reject the rpc; the rpc fails with the code and
+ *   message of err, when it's a `dorusu.RpcError` or a status, otherwise it
+ *   fails with UNKNOWN
+ * - or responds to the rpc itself
+ *
+ * It may also wrap the response, e.g, to observe the trailers.
+ *
+ * @param {string} [scope] a service name or route; when given, the middleware
+ *                         only runs for rpcs to that service or route
+ * @param {function} middleware a function(request, response, next)
+ */
+RpcApp.prototype.use = function use(scope, middleware) {
+  if (_.isFunction(scope)) {
+    middleware = scope;
+    scope = undefined;
+  }
+  if (!_.isFunction(middleware)) {
+    throw new TypeError('middleware must be a function');
+  }
+  if (!_.isUndefined(scope) && !this._services[scope] &&
+      this._requiredRoutes.indexOf(scope) === -1) {
+    console.error('scope', scope, 'is not a service or a route');
+    throw new Error('scope is not a service or a route');
+  }
+  this._middleware.push({scope: scope, middleware: middleware});
+};
+
+/**
+ * middleware obtains the middleware that runs for route, in order.
+ *
+ * @returns {function[]} the middleware for route
+ */
+RpcApp.prototype.middleware = function middleware(route) {
+  var service = route.split('/')[1];
+  var applies = (m) => {
+    return _.isUndefined(m.scope) || m.scope === service || m.scope === route;
+  };
+  return _.pluck(_.filter(this._middleware, applies), 'middleware');
+};
+
+/**
+ * services obtains the services that have been added.
+ *
+ * @returns {Service[]}
+ */
+RpcApp.prototype.services = function services() {
+  return _.values(this._services);
+};
+
 /**
  * isComplete indicates if all the required handlers have been registered.
  *
@@ -263,9 +499,152 @@ RpcApp.prototype.missingRoutes = function missingRoutes() {
  * @returns {function} a rpc handler function
  */
 RpcApp.prototype.dispatcher = function dispatcher(opt_fallback) {
-  return dorusu.makeDispatcher(this._handlers, opt_fallback);
+  var handlers = _.mapValues(this._handlers, (handler, route) => {
+    return (request, response) => {
+      runMiddleware(this.middleware(route), handler, request, response);
+    };
+  });
+  return dorusu.makeDispatcher(handlers, opt_fallback);
 };
 
+var hasAsyncIterator = typeof Symbol === 'function' && !!Symbol.asyncIterator;
+
+/**
+ * adaptAsyncHandler obtains a function(request, response) that calls an async
+ * handler for method, and writes its result to the response.
+ *
+ * The returned function gives a Promise that is rejected if the handler fails.
+ */
+function adaptAsyncHandler(handler, method) {
+  return function asyncHandler(request, response) {
+    var received;
+    if (method.requestStream) {
+      received = Promise.resolve(request);
+    } else {
+      received = new Promise((resolve, reject) => {
+        request.once('data', resolve);
+        request.once('end', () => reject(new dorusu.RpcError(
+          dorusu.rpcCode('INTERNAL'), 'No request message was received')));
+        request.once('error', reject);
+      });
+    }
+    return received.then((msg) => {
+      var result = handler(msg, request.context);
+      if (hasAsyncIterator && result &&
+          _.isFunction(result[Symbol.asyncIterator])) {
+        return writeAll(result[Symbol.asyncIterator](), request, response);
+      }
+      return Promise.resolve(result).then((reply) => {
+        if (!method.responseStream && (_.isUndefined(reply) || _.isNull(reply))) {
+          throw new dorusu.RpcError(
+            dorusu.rpcCode('INTERNAL'), 'No response message was returned');
+        }
+        response.end(reply);
+      });
+    });
+  };
+}
+
+/**
+ * writeAll writes each message from an async iterator to response, then ends
+ * it.
+ *
+ * It waits for the response to drain whenever a write returns false.  The
+ * iteration stops early, returning the iterator, if the request or the
+ * response is cancelled.
+ */
+function writeAll(iterator, request, response) {
+  var cancelled = false;
+  var onCancel;
+  var whenCancelled = new Promise((resolve) => {
+    onCancel = function onCancel() {
+      if (cancelled) {
+        return;
+      }
+      cancelled = true;
+      if (_.isFunction(iterator.return)) {
+        Promise.resolve(iterator.return()).catch(_.noop);
+      }
+      resolve();
+    };
+  });
+  var whenDrained = function whenDrained() {
+    return new Promise((resolve) => response.once('drain', resolve));
+  };
+  var stopListening = function stopListening() {
+    request.removeListener('cancel', onCancel);
+  };
+  request.once('cancel', onCancel);
+
+  var step = function step() {
+    if (cancelled) {
+      return undefined;
+    }
+    if (response.cancelled) {
+      onCancel();
+      return undefined;
+    }
+    return iterator.next().then((item) => {
+      if (cancelled) {
+        return undefined;
+      }
+      if (item.done) {
+        response.end();
+        return undefined;
+      }
+      if (response.write(item.value) === false && !response.cancelled) {
+        return Promise.race([whenDrained(), whenCancelled]).then(step);
+      }
+      return step();
+    });
+  };
+  if (request.cancelled) {
+    onCancel();
+  }
+  return Promise.resolve().then(step).then(stopListening, (err) => {
+    stopListening();
+    throw err;
+  });
+}
+
+/**
+ * implKeys obtains the names of the properties of a service implementation.
+ *
+ * Like `_.keysIn`, it includes inherited properties, but it also includes the
+ * non-enumerable methods of class instances.  The properties of
+ * `Object.prototype` and constructors are excluded.
+ *
+ * @returns {string[]}
+ */
+function implKeys(impl) {
+  var keys = [];
+  for (var o = impl; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+    keys = keys.concat(Object.getOwnPropertyNames(o));
+  }
+  return _.without(_.uniq(keys), 'constructor');
+}
+
+/**
+ * runMiddleware runs each middleware function in turn, then the handler.
+ */
+function runMiddleware(middleware, handler, request, response) {
+  var remaining = middleware.slice();
+  var next = function next(opt_err) {
+    if (opt_err) {
+      response.endWithError(opt_err);
+      return;
+    }
+    var m = remaining.shift();
+    if (m) {
+      dorusu.invokeHandler(m, request, response, next);
+    } else {
+      dorusu.invokeHandler(handler, request, response);
+    }
+  };
+  next();
+}
+
+
 /**
  * marshaller obtains the response marshaller for `route`.
  *
@@ -284,6 +663,15 @@ RpcApp.prototype.unmarshaller = function(route) {
   return this._unmarshallers[route];
 };
 
+/**
+ * method obtains the method descriptor for `route`.
+ *
+ * @returns {Method} the method for route
+ */
+RpcApp.prototype.method = function(route) {
+  return this._methods[route];
+};
+
 /**
  * handler obtains the registered handler for route.
  *
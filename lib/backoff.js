@@ -0,0 +1,127 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/backoff implements the [connection backoff][1] algorithm used to
+ * determine when clients should retry failed connection attempts.
+ *
+ * [1]: https://github.com/grpc/grpc/blob/master/doc/connection-backoff.md
+ *
+ * @module dorusu/backoff
+ */
+
+var _ = require('lodash');
+
+/**
+ * The default values of the backoff parameters, in milliseconds where
+ * appropriate.
+ *
+ * @constant
+ * @type {object}
+ */
+var DEFAULTS = exports.DEFAULTS = Object.freeze({
+  initialBackoff: 1000,
+  multiplier: 1.6,
+  jitter: 0.2,
+  maxBackoff: 120000,
+  minConnectTimeout: 20000
+});
+
+exports.Backoff = Backoff;
+
+/**
+ * Backoff tracks the delay between successive connection attempts.
+ *
+ * @param {object} [opts] configures the backoff parameters
+ * @param {number} [opts.initialBackoff] how long to wait after the first
+ *                                       failure before retrying, in ms
+ * @param {number} [opts.multiplier] factor by which the backoff increases
+ *                                   after each failed attempt
+ * @param {number} [opts.jitter] the proportion of the backoff by which it is
+ *                               randomly varied
+ * @param {number} [opts.maxBackoff] the upper bound on the backoff, in ms
+ * @param {number} [opts.minConnectTimeout] the minimum time allowed for a
+ *                                          connection attempt, in ms
+ * @constructor
+ */
+function Backoff(opts) {
+  opts = _.defaults({}, opts, DEFAULTS);
+  if (opts.initialBackoff <= 0 || opts.maxBackoff < opts.initialBackoff) {
+    throw new RangeError('Invalid backoff bounds');
+  }
+  if (opts.multiplier < 1) {
+    throw new RangeError('Invalid backoff multiplier: ' + opts.multiplier);
+  }
+  if (opts.jitter < 0 || opts.jitter > 1) {
+    throw new RangeError('Invalid backoff jitter: ' + opts.jitter);
+  }
+  this.initialBackoff = opts.initialBackoff;
+  this.multiplier = opts.multiplier;
+  this.jitter = opts.jitter;
+  this.maxBackoff = opts.maxBackoff;
+  this.minConnectTimeout = opts.minConnectTimeout;
+  this.reset();
+}
+
+/**
+ * Restores the initial backoff, e.g, once a connection succeeds.
+ */
+Backoff.prototype.reset = function reset() {
+  this._current = this.initialBackoff;
+  this._deadline = Date.now() + this.initialBackoff;
+};
+
+/**
+ * Determines how long the next connection attempt may take.
+ *
+ * @returns {number} the connection timeout in ms
+ */
+Backoff.prototype.connectTimeout = function connectTimeout() {
+  return Math.max(this._deadline - Date.now(), this.minConnectTimeout);
+};
+
+/**
+ * Records a failed connection attempt.
+ *
+ * @returns {number} how long to wait before the next attempt, in ms
+ */
+Backoff.prototype.backOff = function backOff() {
+  var now = Date.now();
+  var delay = Math.max(this._deadline - now, 0);
+  this._current = Math.min(this._current * this.multiplier, this.maxBackoff);
+  var spread = this.jitter * this._current;
+  this._deadline = now + delay + this._current +
+    _.random(-spread, spread, true);
+  return delay;
+};
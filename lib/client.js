@@ -40,6 +40,10 @@
  */
 
 var _ = require('lodash');
+var Backoff = require('./backoff').Backoff;
+var compression = require('./compression');
+var decodeStatusMessage = require('./codec').decodeStatusMessage;
+var h2endpoint = require('./endpoint');
 var http2 = require('http2');
 var https = require('https');
 var intervalToMicros = require('./codec').intervalToMicros;
@@ -49,11 +53,13 @@ var net = require('net');
 var dorusu = require('./dorusu');
 var protocol = require('http2').protocol;
 var removeBinValues = require('./codec').removeBinValues;
+var richStatus = require('./status');
 var url = require('url');
 var util = require('util');
 
 var DecodingStream = require('./codec').DecodingStream;
 var EncodingStream = require('./codec').EncodingStream;
+var MessageIterator = require('./codec').MessageIterator;
 var Endpoint = protocol.Endpoint;
 var EventEmitter = require('events').EventEmitter;
 var IncomingResponse = http2.IncomingResponse;
@@ -87,25 +93,137 @@ exports.Agent = Agent;
 exports.normalizeOptions = normalizeOptions;
 exports.globalAgent = undefined;
 
+/**
+ * The connectivity states of the connection to an rpc endpoint.
+ *
+ * @readonly
+ * @enum {string}
+ */
+var connectivityState = exports.connectivityState = Object.freeze({
+  /** there is no connection, one will be made when needed */
+  IDLE: 'IDLE',
+  /** a connection is being made */
+  CONNECTING: 'CONNECTING',
+  /** the connection is available for rpcs */
+  READY: 'READY',
+  /** the last connection attempt failed, another one is scheduled */
+  TRANSIENT_FAILURE: 'TRANSIENT_FAILURE',
+  /** the connection was shut down, rpcs fail */
+  SHUTDOWN: 'SHUTDOWN'
+});
+
 /**
  * RpcClient is the dorusu client endpoint for rpc connections.
  *
+ * It emits 'state' with the new connectivity state whenever the state of its
+ * connection changes.
+ *
  * @param {object} options for configuring the connection.  It expects
  *                 similar fields as are used to create a http.request.
  * @param {Agent} [option.agent] is used to establish the stub connection.
  * @param {Service} [option.service] is used to add additional funcs
+ * @param {object} [option.backoff] configures the backoff between connection
+ *                                  attempts made by a dedicated `Agent`
+ * @param {Interceptor[]} [option.interceptors] intercept each rpc, in order
  * @constructor
  */
 function RpcClient(options) {
+  EventEmitter.call(this);
   this.options = normalizeOptions(options);
+  checkInterceptors(this.options.interceptors);
   if (options.agent) {
     this.agent = options.agent;
-  } else if (options.log) {
+  } else if (options.log || options.backoff) {
     this.agent = new Agent(options);
   } else {
     this.agent = exports.globalAgent;
   }
+
+  // Only follow the agent's state changes while they are observed.
+  var key = endpointKey(this.options);
+  this._onAgentState = null;
+  this.on('newListener', (event) => {
+    if (event === 'state' && !this._onAgentState) {
+      this._onAgentState = (changedKey, state) => {
+        if (changedKey === key) {
+          this.emit('state', state);
+        }
+      };
+      this.agent.on('state', this._onAgentState);
+    }
+  });
+  this.on('removeListener', (event) => {
+    if (event === 'state' && this.listenerCount('state') === 0) {
+      this._unfollowState();
+    }
+  });
 }
+RpcClient.prototype = Object.create(EventEmitter.prototype, {
+  constructor: { value: RpcClient }
+});
+
+/**
+ * Obtains the connectivity state of this client's connection.
+ *
+ * @param {boolean} [tryToConnect] when true, a connection is started if the
+ *                                 client is IDLE
+ * @returns {string} one of the values of `connectivityState`
+ */
+RpcClient.prototype.getState = function getState(tryToConnect) {
+  return this.agent.getState(this.options, tryToConnect);
+};
+
+/**
+ * Waits for the connectivity state to change from `currentState`.
+ *
+ * callback is called as callback(null, newState) once the state is no longer
+ * currentState, or with an Error if that does not happen before the deadline.
+ *
+ * @param {string} currentState the state that's expected to change
+ * @param {Date|number} deadline when to stop waiting, as a Date or in ms since
+ *                               the epoch
+ * @param {function} callback a node-style callback
+ */
+RpcClient.prototype.watchState =
+  function watchState(currentState, deadline, callback) {
+    var state = this.getState();
+    if (state !== currentState) {
+      process.nextTick(callback.bind(null, null, state));
+      return;
+    }
+    var timer;
+    var onState = (newState) => {
+      if (newState !== currentState) {
+        clearTimeout(timer);
+        this.removeListener('state', onState);
+        callback(null, newState);
+      }
+    };
+    this.on('state', onState);
+    var wait = new Date(deadline).getTime() - Date.now();
+    timer = setTimeout(() => {
+      this.removeListener('state', onState);
+      callback(new Error('The deadline passed before the state changed'));
+    }, Math.max(wait, 0));
+  };
+
+/**
+ * Shuts down this client's connection.
+ *
+ * The connection is shared by all clients using the same agent and endpoint;
+ * once closed rpcs to the endpoint fail with UNAVAILABLE.
+ */
+RpcClient.prototype.close = function close() {
+  this._unfollowState();
+  this.agent.close(this.options);
+};
+
+RpcClient.prototype._unfollowState = function _unfollowState() {
+  if (this._onAgentState) {
+    this.agent.removeListener('state', this._onAgentState);
+    this._onAgentState = null;
+  }
+};
 
 /**
  * post is an rpc that expects a single request and provides a single response.
@@ -130,18 +248,51 @@ RpcClient.prototype.post = function post(path, message, callback, headers) {
 RpcClient.prototype.rpcFunc = function rpcFunc(opt_marshal, opt_unmarshal) {
   /**
    * @param {string} path the path of the rpc at the rpc endpoint
-   * @param {Object|external:Readable} msgSrc either the message or Readable
-   *                                          that provides messages
+   * @param {Object|external:Readable} msgSrc either the message, or a
+   *                                          Readable or async iterable that
+   *                                          provides messages
    * @param {function} callback is called with the response
    * @param {Object} opts holds optional info affecting the rpc
    * @param {Object} opts.headers holds the rpc headers
+   * @param {string} [opts.compression] names the encoding used to compress
+   *                                    the rpc's messages
+   * @param {number} [opts.maxReceiveMessageLength] when set, the rpc fails
+   *                                                with RESOURCE_EXHAUSTED if
+   *                                                it receives a larger
+   *                                                message
+   * @param {number} [opts.maxSendMessageLength] when set, the rpc fails with
+   *                                             RESOURCE_EXHAUSTED if it
+   *                                             sends a larger message
+   * @param {boolean} [opts.waitForReady] when true, the rpc is queued until
+   *                                      the connection is ready or its
+   *                                      deadline passes, rather than failing
+   *                                      while the connection is unavailable
+   * @param {Object} [opts.parent] the parent of the rpc, e.g, the server
+   *                               request being handled; the rpc's deadline
+   *                               is no later than the parent's deadline,
+   *                               and it's cancelled when the parent is
+   * @param {boolean} [opts.propagateCancel] when false, the rpc is not
+   *                                         cancelled with its parent
+   * @param {Interceptor[]} [opts.interceptors] intercept the rpc, in order,
+   *                                            after the client's interceptors
+   * @returns {EncodedOutgoingRequest} the rpc's request, or the value
+   *                                   returned by an interceptor
    */
   var doRpc = function doRpc(path, msgSrc, callback, opts) {
     var requestOpts = {
       unmarshal: opt_unmarshal,
       marshal: opt_marshal
     };
-    _.merge(requestOpts, this.options, opts, function(a, b) {
+    // The parent is not merged, as it should not be copied.
+    var parent = opts && opts.parent;
+    // The interceptors are not merged, as the rpc's run after the client's.
+    var rpcInterceptors = opts && opts.interceptors;
+    checkInterceptors(rpcInterceptors);
+    var interceptors = (this.options.interceptors || []).concat(
+      rpcInterceptors || []);
+    var notMerged = ['parent', 'interceptors'];
+    _.merge(requestOpts, _.omit(this.options, notMerged),
+            _.omit(opts, notMerged), function(a, b) {
       /** Needed until lodash 4 is distributed
        *
        * see https://github.com/lodash/lodash/issues/1453
@@ -151,11 +302,246 @@ RpcClient.prototype.rpcFunc = function rpcFunc(opt_marshal, opt_unmarshal) {
       }
       return undefined;
     });
-    return this.agent.rpc(path, msgSrc, requestOpts, callback);
+    if (parent) {
+      requestOpts.parent = parent;
+    }
+    if (_.isEmpty(interceptors)) {
+      return this.agent.rpc(path, msgSrc, requestOpts, callback);
+    }
+    var call = {
+      path: path,
+      headers: requestOpts.headers || {},
+      src: toReadable(msgSrc),
+      callback: callback,
+      options: requestOpts
+    };
+    var invoke = (index, theCall) => {
+      if (index === interceptors.length) {
+        theCall.options.headers = theCall.headers;
+        return this.agent.rpc(theCall.path, theCall.src, theCall.options,
+                              theCall.callback);
+      }
+      return interceptors[index](theCall, function next(opt_call) {
+        return invoke(index + 1, opt_call || theCall);
+      });
+    };
+    return invoke(0, call);
   };
   return doRpc.bind(this);
 };
 
+/**
+ * unaryRpc performs an rpc that has a single response, returning a `Promise`.
+ *
+ * The promise resolves to an object holding the response `message`, the
+ * `metadata` received with the headers, the `trailers` metadata and the rpc
+ * `status`.  It is rejected with a `dorusu.RpcError` if the rpc fails, and
+ * with INTERNAL if more than one response message is received.
+ *
+ * @param {function} rpc a function created by `RpcClient#rpcFunc`
+ * @param {string} path the path of the rpc at the rpc endpoint
+ * @param {Object|external:Readable} msgSrc either the message or Readable
+ *                                          that provides messages
+ * @param {Object} [opts] holds optional info affecting the rpc
+ * @returns {Promise} the result of the rpc
+ */
+exports.unaryRpc = function unaryRpc(rpc, path, msgSrc, opts) {
+  return new Promise(function(resolve, reject) {
+    var result = {
+      message: undefined,
+      metadata: {},
+      trailers: {},
+      status: undefined
+    };
+    var settled = false;
+    var settle = function settle(status) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      result.status = status;
+      if (status.code === dorusu.rpcCode('OK')) {
+        resolve(result);
+        return;
+      }
+      var err = new dorusu.RpcError(status.code, status.message,
+                                    result.metadata, status.details);
+      err.trailers = result.trailers;
+      reject(err);
+    };
+    var received = 0;
+    var req = rpc(path, msgSrc, function(response) {
+      response.on('data', function(message) {
+        received += 1;
+        if (received > 1) {
+          settle({
+            'code': dorusu.rpcCode('INTERNAL'),
+            'message': 'Received more than one response message'
+          });
+          req.abort();
+          return;
+        }
+        result.message = message;
+      });
+      response.on('error', function(err) {
+        if (err instanceof Error) {
+          settle({
+            'code': dorusu.rpcCode('INTERNAL'),
+            'message': err.message
+          });
+        }
+      });
+      response.on('end', function() {
+        result.metadata = response.initialMetadata;
+        result.trailers = response.trailingMetadata;
+        settle(response._rpcStatus || {
+          'code': dorusu.rpcCode('UNKNOWN'),
+          'message': 'No rpc status was received'
+        });
+      });
+    }, opts);
+
+    // The request fails without a response if no connection is available.
+    req.on('status', settle);
+  });
+};
+
+// Interceptors
+// ------------
+
+/**
+ * An Interceptor is a function(call, next) that intercepts the rpcs made by an
+ * `RpcClient`.
+ *
+ * `call` describes the rpc; an interceptor may update its fields:
+ *
+ * - `call.path` is the path of the rpc
+ * - `call.headers` holds the metadata to be sent
+ * - `call.src` is the `Readable` that provides the messages to send
+ * - `call.callback` is called with the response; wrapping it allows the
+ *    interceptor to observe the response's metadata, messages and status
+ * - `call.options` holds the remaining options of the rpc
+ *
+ * `next(opt_call)` continues the rpc using the next interceptor, and returns
+ * the rpc's request.  An interceptor returns the result of `next`, or it
+ * short-circuits the rpc, e.g, by returning `shortCircuit(call, result)`.
+ *
+ * @typedef {function} Interceptor
+ */
+
+/**
+ * checkInterceptors confirms that interceptors is an array of functions.
+ */
+function checkInterceptors(interceptors) {
+  if (_.isUndefined(interceptors)) {
+    return;
+  }
+  if (!_.isArray(interceptors) || !_.every(interceptors, _.isFunction)) {
+    throw new TypeError('interceptors must be an array of functions');
+  }
+}
+
+/**
+ * shortCircuit completes an intercepted rpc without sending it, providing its
+ * callback with a synthetic response.
+ *
+ * @param {object} call the intercepted call
+ * @param {object} [result] describes the synthetic response
+ * @param {Array} [result.messages] the response messages
+ * @param {object} [result.status] the rpc status, by default OK
+ * @param {object} [result.metadata] the metadata received with the headers
+ * @param {object} [result.trailers] the metadata received with the trailers
+ * @returns {SyntheticRequest} stands in for the rpc's request
+ */
+exports.shortCircuit = function shortCircuit(call, result) {
+  var request = new SyntheticRequest();
+  var response = new SyntheticResponse(result);
+  call.src.resume();  // discard the messages
+  process.nextTick(() => {
+    if (request.cancelled) {
+      return;
+    }
+    request.emit('response', response);
+    call.callback(response);
+    response._start();
+  });
+  return request;
+};
+
+/**
+ * SyntheticRequest stands in for the request of a short-circuited rpc.
+ *
+ * @constructor
+ * @extends external:EventEmitter
+ */
+function SyntheticRequest() {
+  EventEmitter.call(this);
+  this.cancelled = false;
+}
+SyntheticRequest.prototype = Object.create(EventEmitter.prototype, {
+  constructor: { value: SyntheticRequest }
+});
+
+/**
+ * Aborts the request, so that its callback is not called.
+ */
+SyntheticRequest.prototype.abort = function abort() {
+  this.cancelled = true;
+};
+SyntheticRequest.prototype.cancel = SyntheticRequest.prototype.abort;
+SyntheticRequest.prototype.setPriority = _.noop;
+
+/**
+ * SyntheticResponse is the response of a short-circuited rpc.
+ *
+ * Like `DecodedIncomingResponse`, it emits the messages, 'metadata', 'status'
+ * and, when the status is not OK, 'error'.
+ *
+ * @param {object} [result] describes the response, as in `shortCircuit`
+ * @constructor
+ * @extends external:Readable
+ */
+function SyntheticResponse(result) {
+  Readable.call(this, {objectMode: true});
+  result = result || {};
+  this._messages = result.messages || [];
+  this.initialMetadata = _.clone(result.metadata || {});
+  this.trailingMetadata = _.clone(result.trailers || {});
+  this.metadata = _.merge({}, this.initialMetadata, this.trailingMetadata);
+  this._rpcStatus = result.status || {
+    'code': dorusu.rpcCode('OK'),
+    'message': ''
+  };
+}
+SyntheticResponse.prototype = Object.create(Readable.prototype, {
+  constructor: { value: SyntheticResponse }
+});
+SyntheticResponse.prototype._read = _.noop;
+
+/**
+ * Emits the response's events once its callback has been called.
+ */
+SyntheticResponse.prototype._start = function _start() {
+  this.emit('metadata', this.initialMetadata);
+  _.forEach(this._messages, (m) => this.push(m));
+  this.emit('status', this._rpcStatus);
+  if (this._rpcStatus.code !== dorusu.rpcCode('OK')) {
+    this.emit('error', this._rpcStatus);
+  }
+  this.push(null);
+};
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  /**
+   * Allows the messages to be consumed using `for await`.
+   *
+   * @returns {MessageIterator} an async iterator over the messages
+   */
+  SyntheticResponse.prototype[Symbol.asyncIterator] = function() {
+    return new MessageIterator(this);
+  };
+}
+
 // Agent class
 // -----------
 
@@ -174,6 +560,8 @@ var supportedProtocols = [protocol.VERSION];
  * @param {object} options configures the remote endpoint
  * @param {object} options.log the logger used to record agent behaviour
  * @param {object} options.settings used to configure the http2 endpoint
+ * @param {object} [options.backoff] configures the backoff between connection
+ *                                   attempts, see `backoff.Backoff`
  * @constructor
  */
 function Agent(options) {
@@ -185,6 +573,12 @@ function Agent(options) {
   this._log = (options.log || dorusu.noopLogger).child({ component: 'http' });
   this.endpoints = {};
 
+  // Track the connection attempts to each endpoint, retrying failed ones
+  // with exponential backoff.
+  this._backoffOptions = options.backoff;
+  new Backoff(this._backoffOptions);  // throws if the options are invalid
+  this._connections = {};
+
   // * Using an own HTTPS agent, because the global agent does not look at
   // `NPN/ALPNProtocols` when generating the key identifying the connection,
   // so we may get useless non-negotiated TLS channels even if we ask for a
@@ -201,6 +595,39 @@ Agent.prototype = Object.create(EventEmitter.prototype, {
   constructor: { value: Agent }
 });
 
+/**
+ * Adds default values for the fields that identify the remote endpoint.
+ *
+ * For dorusu, we can be quite strict about what values are in the options,
+ * however there are still some sane defaults to reflect a typical usage
+ * pattern of testing securely on localhost:443
+ *
+ * @param {object} options configures a connection, it is updated
+ * @returns {object} options
+ */
+function addEndpointDefaults(options) {
+  options.protocol = options.protocol || 'https:';
+  options.host = options.hostname || options.host || 'localhost';
+  options.port = options.port || 443;
+  options.plain = options.protocol === 'http:';
+  return options;
+}
+
+/**
+ * Computes the key that identifies the endpoint that options connect to.
+ *
+ * @param {object} options configures a connection
+ * @returns {string} the endpoint key
+ */
+function endpointKey(options) {
+  options = addEndpointDefaults(normalizeOptions(options));
+  return [
+    !!options.plain,
+    options.host,
+    options.port
+  ].join(':');
+}
+
 function hasAgentOptions(options) {
   return options.pfx !== null ||
     options.key !== null ||
@@ -212,10 +639,323 @@ function hasAgentOptions(options) {
     options.secureProtocol !== null;
 }
 
+/**
+ * Obtains the state of connections made to the endpoint identified by `key`.
+ *
+ * @param {string} key identifies the remote endpoint
+ * @returns {object} the connection state
+ */
+Agent.prototype._connection = function _connection(key) {
+  if (!this._connections[key]) {
+    this._connections[key] = {
+      backoff: new Backoff(this._backoffOptions),
+      connecting: false,
+      lastError: undefined,
+      pending: [],
+      retryTimer: undefined,
+      state: connectivityState.IDLE
+    };
+  }
+  return this._connections[key];
+};
+
+/**
+ * Updates the connectivity state of the endpoint identified by `key`.
+ *
+ * Emits 'state' with the key and the new state when the state changes.
+ *
+ * @param {string} key identifies the remote endpoint
+ * @param {string} state the new connectivity state
+ */
+Agent.prototype._setState = function _setState(key, state) {
+  var conn = this._connection(key);
+  if (conn.state === state) {
+    return;
+  }
+  this._log.debug({ key: key, from: conn.state, to: state }, 'State change');
+  conn.state = state;
+  this.emit('state', key, state);
+};
+
+/**
+ * Obtains the connectivity state of the endpoint that `options` connect to.
+ *
+ * @param {object} options identifies the remote endpoint, as for `request`
+ * @param {boolean} [tryToConnect] when true, a connection is started if the
+ *                                 endpoint is IDLE
+ * @returns {string} the connectivity state
+ */
+Agent.prototype.getState = function getState(options, tryToConnect) {
+  var key = endpointKey(options);
+  var conn = this._connections[key];
+  var state = conn ? conn.state : connectivityState.IDLE;
+  if (tryToConnect && state === connectivityState.IDLE) {
+    this._connect(key, addEndpointDefaults(normalizeOptions(options)));
+  }
+  return state;
+};
+
+/**
+ * Shuts down the connection to the endpoint that `options` connect to, or
+ * all the connections if options is not provided.
+ *
+ * Once shut down, rpcs to the endpoint fail with UNAVAILABLE.
+ *
+ * @param {object} [options] identifies the remote endpoint, as for `request`
+ */
+Agent.prototype.close = function close(options) {
+  var keys = options ? [endpointKey(options)] : _.keys(this._connections);
+  _.forEach(keys, (key) => {
+    var conn = this._connection(key);
+    clearTimeout(conn.retryTimer);
+    conn.retryTimer = undefined;
+    this._setState(key, connectivityState.SHUTDOWN);
+    var pending = conn.pending;
+    conn.pending = [];
+    _.forEach(pending, (f) => f(new Error('The connection was shut down')));
+    var endpoint = this.endpoints[key];
+    if (endpoint) {
+      delete this.endpoints[key];
+      h2endpoint.close(endpoint, endpoint.socket);
+    }
+  });
+};
+
+/**
+ * Attempts to connect to the endpoint identified by `key`.
+ *
+ * If the attempt fails, requests waiting for the connection fail.  Once the
+ * connection backoff elapses, another attempt is made if any requests are
+ * still waiting, otherwise the endpoint is IDLE until the next request.
+ *
+ * @param {string} key identifies the remote endpoint
+ * @param {object} options configures the connection
+ */
+Agent.prototype._connect = function _connect(key, options) {
+  var conn = this._connection(key);
+  conn.connecting = true;
+  conn.retryTimer = undefined;
+  this._setState(key, connectivityState.CONNECTING);
+  var timeout = conn.backoff.connectTimeout();
+  var connecting = options.plain ?
+      this._connectPlain(options) : this._connectTLS(options);
+  var timer = setTimeout(function() {
+    connecting.abort(new Error('Connection timed out after ' + timeout + 'ms'));
+  }, timeout);
+  connecting.once('done', (err, endpoint) => {
+    clearTimeout(timer);
+    conn.connecting = false;
+    var pending = conn.pending;
+    conn.pending = [];
+    if (conn.state === connectivityState.SHUTDOWN) {
+      if (endpoint) {
+        h2endpoint.close(endpoint, endpoint.socket);
+      }
+      _.forEach(pending, (f) => f(new Error('The connection was shut down')));
+      return;
+    }
+    if (endpoint) {
+      this._log.info(
+        { e: endpoint, server: options.host + ':' + options.port },
+        'New outgoing HTTP/2 connection');
+      conn.backoff.reset();
+      conn.lastError = undefined;
+      this._track(key, endpoint);
+      this._setState(key, connectivityState.READY);
+      _.forEach(pending, (f) => f(null));
+      return;
+    }
+    var delay = conn.backoff.backOff();
+    this._log.warn({ server: options.host + ':' + options.port,
+                     error: err, retryIn: delay }, 'Connection failed');
+    conn.lastError = err.message;
+    conn.retryTimer = setTimeout(() => {
+      conn.retryTimer = undefined;
+      if (_.isEmpty(conn.pending)) {
+        // Nothing is waiting, so the next rpc makes the next attempt.
+        this._setState(key, connectivityState.IDLE);
+        return;
+      }
+      this._connect(key, options);
+    }, delay);
+    conn.retryTimer.unref();
+    this._setState(key, connectivityState.TRANSIENT_FAILURE);
+    _.forEach(pending, (f) => f(err));
+  });
+};
+
+/**
+ * Adds a connected endpoint to `endpoints`, evicting it once its connection
+ * is lost or the server sends GOAWAY.
+ *
+ * @param {string} key identifies the remote endpoint
+ * @param {Endpoint} endpoint the connected endpoint
+ */
+Agent.prototype._track = function _track(key, endpoint) {
+  this.endpoints[key] = endpoint;
+  endpoint.rpcRequests = [];
+
+  // Fails the in-flight requests that will not complete.
+  var lose = function lose(message, opt_lastStreamId) {
+    var lost = _.remove(endpoint.rpcRequests, function(req) {
+      return opt_lastStreamId === undefined || !req.stream ||
+        req.stream.id === undefined || req.stream.id > opt_lastStreamId;
+    });
+    _.forEach(lost, (req) => req._onConnectionLost(message));
+  };
+  var evict = (reason) => {
+    if (this.endpoints[key] === endpoint) {
+      this._log.info({ e: endpoint, reason: reason }, 'Evicting endpoint');
+      delete this.endpoints[key];
+      this._setState(key, connectivityState.IDLE);
+    }
+  };
+
+  endpoint.socket.once('close', function() {
+    evict('connection closed');
+    lose('Connection closed');
+  });
+  endpoint.socket.on('error', function(err) {
+    evict(err.message);
+    lose(err.message);
+  });
+  endpoint.on('error', function(err) {
+    evict(String(err));
+    lose('Connection failed: ' + err);
+  });
+  h2endpoint.onGoAway(endpoint, function(frame) {
+    // Streams after last_stream were not processed, those before it may
+    // still complete.
+    evict('received GOAWAY: ' + frame.error);
+    lose('Received GOAWAY: ' + frame.error, frame.last_stream);
+  });
+};
+
+/**
+ * Starts `req` on a new stream of the connected endpoint identified by `key`.
+ *
+ * @param {string} key identifies the remote endpoint
+ * @param {EncodedOutgoingRequest} req the request to start
+ * @param {object} options configures the request
+ */
+Agent.prototype._startRequest = function _startRequest(key, req, options) {
+  var endpoint = this.endpoints[key];
+  var stream = endpoint.createStream();
+  endpoint.rpcRequests.push(req);
+  stream.on('state', function(state) {
+    if (state === 'CLOSED') {
+      _.pull(endpoint.rpcRequests, req);
+    }
+  });
+  req._start(stream, options);
+};
+
+/**
+ * Connects to an endpoint using HTTP/2 over plain TCP.
+ *
+ * @param {object} options configures the connection
+ * @returns {EventEmitter} emits 'done' with (err, endpoint) once the attempt
+ *                         completes; its abort(err) method ends the attempt
+ */
+Agent.prototype._connectPlain = function _connectPlain(options) {
+  var connecting = new EventEmitter();
+  var socket = net.connect({
+    host: options.host,
+    port: options.port,
+    localAddress: options.localAddress
+  });
+  var fail = function fail(err) {
+    socket.removeAllListeners('connect');
+    socket.destroy();
+    connecting.emit('done', err);
+  };
+  connecting.abort = fail;
+  socket.once('error', fail);
+  socket.once('connect', () => {
+    socket.removeListener('error', fail);
+    var endpoint = new Endpoint(this._log, 'CLIENT', this._settings);
+    endpoint.socket = socket;
+    endpoint.pipe(endpoint.socket).pipe(endpoint);
+    connecting.emit('done', null, endpoint);
+  });
+  return connecting;
+};
+
+/**
+ * Connects to an endpoint using HTTP/2 over TLS negotiated using NPN or ALPN.
+ *
+ * @param {object} options configures the connection
+ * @returns {EventEmitter} emits 'done' with (err, endpoint) once the attempt
+ *                         completes; its abort(err) method ends the attempt
+ */
+Agent.prototype._connectTLS = function _connectTLS(options) {
+  var connecting = new EventEmitter();
+  var finished = false;
+  var finish = function finish(err, endpoint) {
+    if (!finished) {
+      finished = true;
+      connecting.emit('done', err, endpoint);
+    }
+  };
+
+  var createAgent = hasAgentOptions(options);
+  options.ALPNProtocols = supportedProtocols;
+  options.NPNProtocols = supportedProtocols;
+  // Server Name Indication
+  if (createAgent) {
+    options.agent = new https.Agent(options);
+  } else if (!options.agent) {
+    options.agent = this._httpsAgent;
+  }
+  options.ciphers = options.ciphers || dorusu.cipherSuites;
+
+  var httpsRequest = https.request(options);
+  var negotiated = function negotiated() {
+    var negotiatedProtocol =
+      httpsRequest.socket.alpnProtocol || httpsRequest.socket.npnProtocol;
+    if (negotiatedProtocol !== protocol.VERSION) {
+      httpsRequest.abort();
+      finish(new Error('Negotiation did not succeed.'));
+      return;
+    }
+    httpsRequest.socket.emit('agentRemove');
+    unbundleSocket(httpsRequest.socket);
+    var endpoint = new Endpoint(this._log, 'CLIENT', this._settings);
+    endpoint.socket = httpsRequest.socket;
+    endpoint.pipe(endpoint.socket).pipe(endpoint);
+    if (finished) {
+      // The attempt was aborted in the meantime, so discard the connection.
+      h2endpoint.close(endpoint, endpoint.socket);
+      return;
+    }
+    finish(null, endpoint);
+  }.bind(this);
+
+  var onHttpsSocket = function onHttpsSocket(socket) {
+    var negotiatedProtocol = socket.alpnProtocol || socket.npnProtocol;
+    if (negotiatedProtocol !== null) { // null in >=0.11.0, undefined in <0.11.0
+      negotiated();
+    } else {
+      socket.on('secureConnect', negotiated);
+    }
+  };
+  httpsRequest.on('socket', onHttpsSocket);
+  httpsRequest.on('error', finish);
+  connecting.abort = function abort(err) {
+    finish(err);
+    httpsRequest.abort();
+  };
+  return connecting;
+};
+
 /**
  * request starts an EncodedOutgoingRequest to the rpc endpoint.
  *
  * @param {object} options configures the request
+ * @param {boolean} [options.waitForReady] when true, the request waits for a
+ *                                         connection until its deadline
+ *                                         rather than failing when the
+ *                                         connection is not available
  * @param {function} callback is node-js callback called with the response.
  */
 Agent.prototype.request = function request(options, callback) {
@@ -225,128 +965,198 @@ Agent.prototype.request = function request(options, callback) {
     throw new Error('No path specified');
   }
 
-  // for dorusu, we can be quite strict about what values are in the options,
-  // however there are still some sane defaults to reflect a typical usage
-  // pattern of testing securely on localhost:443
+  addEndpointDefaults(options);
   options.method = (options.method || 'POST').toUpperCase();
-  options.protocol = options.protocol || 'https:';
-  options.host = options.hostname || options.host || 'localhost';
-  options.port = options.port || 443;
-  options.plain = options.protocol === 'http:';
-
-  // Specify the {de,}marshaller if provided
+  var waitForReady = !!options.waitForReady;
+  delete options.waitForReady;
+  var parent = options.parent;
+  var propagateCancel = options.propagateCancel !== false;
+  delete options.parent;
+  delete options.propagateCancel;
+  options.headers = parentDeadlineHeaders(options.headers, parent);
+
+  // Specify the {de,}marshaller, compression and message length limits if
+  // provided; a limit of 0 is allowed.
   var encOpts = {log: options.log};
-  _.forEach(['marshal', 'unmarshal'], function(k) {
+  _.forEach(['marshal', 'unmarshal', 'compression'], function(k) {
     if (options[k]) {
       encOpts[k] = options[k];
       delete options[k];
     }
   });
+  _.forEach(['maxReceiveMessageLength', 'maxSendMessageLength'], function(k) {
+    if (!_.isUndefined(options[k])) {
+      encOpts[k] = options[k];
+      delete options[k];
+    }
+  });
   var req = new EncodedOutgoingRequest(encOpts);
   if (callback) {
     req.on('response', callback);
   }
+  if (parent && propagateCancel) {
+    cancelWithParent(parent, req);
+  }
 
-  var key = [
-    !!options.plain,
-    options.host,
-    options.port
-  ].join(':');
+  var key = endpointKey(options);
 
   // * There's an existing HTTP/2 connection to this host
   if (key in this.endpoints) {
-    req._start(this.endpoints[key].createStream(), options);
+    this._startRequest(key, req, options);
+    return req;
   }
 
-  // * HTTP/2 over plain TCP
-  else if (options.plain) {
-    var endpoint = new Endpoint(this._log, 'CLIENT', this._settings);
-    endpoint.socket = net.connect({
-      host: options.host,
-      port: options.port,
-      localAddress: options.localAddress
-    });
-    endpoint.pipe(endpoint.socket).pipe(endpoint);
-    req._start(endpoint.createStream(), options);
-  }
-
-  // * HTTP/2 over TLS negotiated using NPN or ALPN, or fallback to HTTPS1
-  else {
-    var started = false;
-    var createAgent = hasAgentOptions(options);
-    options.ALPNProtocols = supportedProtocols;
-    options.NPNProtocols = supportedProtocols;
-    // Server Name Indication
-    if (createAgent) {
-      options.agent = new https.Agent(options);
-    } else if (!options.agent) {
-      options.agent = this._httpsAgent;
-    }
-    options.ciphers = options.ciphers || dorusu.cipherSuites;
-
-    var httpsRequest = https.request(options);
-    var negotiated = function negotiated() {
-      var endpoint;
-      var negotiatedProtocol =
-        httpsRequest.socket.alpnProtocol || httpsRequest.socket.npnProtocol;
-      if (negotiatedProtocol === protocol.VERSION) {
-        httpsRequest.socket.emit('agentRemove');
-        unbundleSocket(httpsRequest.socket);
-        endpoint = new Endpoint(this._log, 'CLIENT', this._settings);
-        endpoint.socket = httpsRequest.socket;
-        endpoint.pipe(endpoint.socket).pipe(endpoint);
-      }
-      if (started) {
-        // ** In the meantime, an other connection was made to the same host...
-        if (endpoint) {
-          // *** and it turned out to be HTTP2 and the
-          // *** request was multiplexed on that one, so we should close this one.
-          endpoint.close();
-        }
-        // *** otherwise, the fallback to HTTPS1 is already done.
-      } else {
-        if (endpoint) {
-          this._log.info(
-            { e: endpoint, server: options.host + ':' + options.port },
-            'New outgoing HTTP/2 connection');
-          this.endpoints[key] = endpoint;
-          this.emit(key, endpoint);
-        } else {
-          this.emit(key, undefined);
-        }
-      }
-    }.bind(this);
-
-    var onHttpsSocket = function onHttpsSocket(socket) {
-      var negotiatedProtocol = socket.alpnProtocol || socket.npnProtocol;
-      if (negotiatedProtocol !== null) { // null in >=0.11.0, undefined in <0.11.0
-        negotiated();
-      } else {
-        socket.on('secureConnect', negotiated);
-      }
-    };
-    httpsRequest.on('socket', onHttpsSocket);
-
-    this.once(key, function(endpoint) {
-      started = true;
-      if (endpoint) {
-        req._start(endpoint.createStream(), options);
-      } else {
-        throw new Error('Negotiation did not succeed.');
-      }
-    });
+  // * Otherwise wait for a connection, making one if necessary
+  var conn = this._connection(key);
+  if (conn.state === connectivityState.SHUTDOWN) {
+    process.nextTick(req._failConnect.bind(
+      req, dorusu.rpcCode('UNAVAILABLE'), 'The connection was shut down'));
+    return req;
+  }
+  if (conn.retryTimer && !waitForReady) {
+    // ** A recent attempt failed and the next one has yet to start.
+    process.nextTick(req._failConnect.bind(
+      req, dorusu.rpcCode('UNAVAILABLE'), conn.lastError));
+    return req;
   }
 
+  // ** Requests that wait for ready stay queued after failed attempts,
+  // ** until the connection is made or their deadline passes.
+  var deadlineTimer;
+  var whenConnected = (err) => {
+    if (!err) {
+      clearTimeout(deadlineTimer);
+      this._startRequest(key, req, options);
+    } else if (waitForReady && conn.state !== connectivityState.SHUTDOWN) {
+      conn.pending.push(whenConnected);
+    } else {
+      clearTimeout(deadlineTimer);
+      req._failConnect(dorusu.rpcCode('UNAVAILABLE'), err.message);
+    }
+  };
+  conn.pending.push(whenConnected);
+  if (waitForReady) {
+    options.headers = deadlineHeaders(options.headers);
+    var deadline = options.headers && options.headers.deadline;
+    if (deadline instanceof Date) {
+      deadlineTimer = setTimeout(function() {
+        _.pull(conn.pending, whenConnected);
+        req._failConnect(dorusu.rpcCode('DEADLINE_EXCEEDED'),
+                         'Deadline exceeded while waiting for a connection');
+      }, Math.max(deadline.getTime() - Date.now(), 0));
+    }
+  }
+  if (!conn.connecting && !conn.retryTimer) {
+    this._connect(key, options);
+  }
   return req;
 };
 
+/**
+ * Replaces any `grpc-timeout` in headers with the equivalent `deadline`, so
+ * that time spent waiting for a connection counts towards it.
+ *
+ * @param {object} [headers] the headers of a request
+ * @returns {object} the updated headers
+ */
+function deadlineHeaders(headers) {
+  if (!headers || !headers['grpc-timeout'] ||
+      !isInterval(headers['grpc-timeout'])) {
+    return headers;
+  }
+  var timeoutMillis = intervalToMicros(headers['grpc-timeout']) / 1000;
+  var updated = _.omit(headers, 'grpc-timeout');
+  updated.deadline = new Date(Date.now() + timeoutMillis);
+  return updated;
+}
+
+/**
+ * Sets the `deadline` in headers to the deadline of an rpc's parent, unless the
+ * rpc's own deadline is earlier.
+ *
+ * @param {object} [headers] the headers of a request
+ * @param {object} [parent] the parent of the request, e.g, the server request
+ *                          being handled when the rpc is made
+ * @param {number|Date} [parent.deadline] the deadline of the parent
+ * @returns {object} the updated headers
+ */
+function parentDeadlineHeaders(headers, parent) {
+  var deadline = parent && parent.deadline;
+  if (deadline instanceof Date) {
+    deadline = deadline.getTime();
+  }
+  if (!_.isFinite(deadline)) {
+    return headers;
+  }
+  var updated = _.clone(deadlineHeaders(headers) || {});
+  if (!(updated.deadline instanceof Date) ||
+      updated.deadline.getTime() > deadline) {
+    updated.deadline = new Date(deadline);
+  }
+  return updated;
+}
+
+/**
+ * childRequests holds the unfinished requests started with each parent.
+ *
+ * @type {WeakMap}
+ */
+var childRequests = new WeakMap();
+
+/**
+ * Registers req as a child of parent, so that req is aborted with CANCELLED if
+ * parent emits 'cancel' before req finishes.
+ *
+ * Children are left running once the parent's response has finished; the
+ * parent completed normally, so there is no cancellation to propagate.
+ *
+ * @param {external:EventEmitter} parent emits 'cancel', e.g, a server request
+ * @param {EncodedOutgoingRequest} req the child request
+ */
+function cancelWithParent(parent, req) {
+  if (!_.isFunction(parent.once)) {
+    return;
+  }
+  var parentFinished = () => !!(parent.response && parent.response.finished);
+  if (parentFinished()) {
+    return;
+  }
+  if (parent.cancelled) {
+    process.nextTick(req.abort.bind(req));
+    return;
+  }
+  var children = childRequests.get(parent);
+  if (!children) {
+    children = [];
+    childRequests.set(parent, children);
+    parent.once('cancel', () => {
+      childRequests.delete(parent);
+      if (!parentFinished()) {
+        _.forEach(children, (child) => child.abort());
+      }
+    });
+  }
+  children.push(req);
+
+  var release = () => _.pull(children, req);
+  req.once('status', release);
+  req.once('socket', (stream) => {
+    stream.on('state', (state) => {
+      if (state === 'CLOSED') {
+        release();
+      }
+    });
+  });
+}
+
 /**
  * rpc starts an EncodedOutgoingRequest to the rpc endpoint.
  *
  * @param {string} path the destination path on the endpoint
- * @param {Object|external:Readable} msgSrc either an object to send or a
- *                                          Readable that provides objects to
- *                                          send to the endpoint
+ * @param {Object|external:Readable} msgSrc either an object to send, or a
+ *                                          Readable or async iterable that
+ *                                          provides objects to send to the
+ *                                          endpoint
  * @param {Object} options holds optional info configuring the rpc
  * @param {Object} options.headers holds the rpc headers
  * @param {function} callback is node-js callback called with the response
@@ -355,20 +1165,99 @@ Agent.prototype.rpc = function rpc(path, msgSrc, options, callback) {
   options = util._extend({}, options);
   options.path = path;
 
-  // Ensure that msgSrc to a readable.
-  var src = msgSrc;
-  if (!(src instanceof Readable)) {
-    // There is just 1 message, create a Readable that streams it
-    src = new Readable({objectMode:true});
-    src.push(msgSrc);
-    src.push(null);
-  }
-
+  var src = toReadable(msgSrc);
   var request = this.request(options, callback);
   src.pipe(request);
+  if (src instanceof IterableReadable) {
+    // Abort the rpc if the async iterable fails.
+    src.on('error', () => request.abort());
+  }
   return request;
 };
 
+/**
+ * toReadable ensures that msgSrc is a `Readable`.
+ *
+ * @param {Object|external:Readable} msgSrc a message, or a Readable or async
+ *                                          iterable that provides messages
+ * @returns {external:Readable} that provides the messages
+ */
+function toReadable(msgSrc) {
+  if (msgSrc instanceof Readable) {
+    return msgSrc;
+  }
+  if (isAsyncIterable(msgSrc)) {
+    return new IterableReadable(msgSrc);
+  }
+
+  // There is just 1 message, create a Readable that streams it
+  var src = new Readable({objectMode:true});
+  src.push(msgSrc);
+  src.push(null);
+  return src;
+}
+
+/**
+ * isMessageStream determines if src provides a series of messages, i.e, if
+ * it's a `Readable` or an async iterable.
+ *
+ * @param {*} src the message source of an rpc
+ * @returns {boolean}
+ */
+exports.isMessageStream = function isMessageStream(src) {
+  return src instanceof Readable || isAsyncIterable(src);
+};
+
+/**
+ * isAsyncIterable determines if src is an async iterable that's not already a
+ * `Readable`.
+ */
+function isAsyncIterable(src) {
+  return (typeof Symbol === 'function') && !!Symbol.asyncIterator &&
+    !(src instanceof Readable) && !!src &&
+    (typeof src[Symbol.asyncIterator] === 'function');
+}
+
+/**
+ * IterableReadable is an object mode `Readable` that streams the values
+ * produced by an async iterable.
+ *
+ * It emits 'error' if the iterable fails.
+ *
+ * @param {Object} iterable an async iterable
+ * @constructor
+ * @extends external:Readable
+ */
+function IterableReadable(iterable) {
+  Readable.call(this, {objectMode: true});
+  this._it = iterable[Symbol.asyncIterator]();
+  this._reading = false;
+}
+IterableReadable.prototype = Object.create(Readable.prototype, {
+  constructor: { value: IterableReadable }
+});
+
+/**
+ * _read overrides Readable._read to pull the next value from the iterable.
+ */
+IterableReadable.prototype._read = function _read() {
+  if (this._reading) {
+    return;
+  }
+  this._reading = true;
+  this._it.next().then((res) => {
+    this._reading = false;
+    if (res.done) {
+      this.push(null);
+    } else if (this.push(res.value)) {
+      this._read();
+    }
+  }, (err) => {
+    this._reading = false;
+    this.emit('error', err);
+  });
+};
+
 /**
  * The default global `Agent` instance.
  * @const
@@ -396,6 +1285,12 @@ function unbundleSocket(socket) {
  *
  * @param {object} opts configures the request instance
  * @param {function} opts.marshal is used marshal objects sent by this request
+ * @param {string} [opts.compression] names the encoding used to compress the
+ *                                    messages sent by this request
+ * @param {number} [opts.maxSendMessageLength] limits the length of the
+ *                                             messages sent by this request
+ * @param {number} [opts.maxReceiveMessageLength] limits the length of the
+ *                                                messages in the response
  * @constructor
  */
 function EncodedOutgoingRequest(opts) {
@@ -406,10 +1301,13 @@ function EncodedOutgoingRequest(opts) {
   this._encoder = new EncodingStream(this.codecOpts);
   var onFinish = this._finish.bind(this);
   this._encoder.on('finish', onFinish);
+  this._encoder.on('error', this._onEncodeError.bind(this));
   this.cancelled = false;
   this.cancelResponse = undefined;
   this._data_sent = false;
   this._log = undefined;   // will be set to be child logger of the stream
+  this._response = undefined;  // will be created in _start
+  this._responded = false;
 }
 EncodedOutgoingRequest.prototype = Object.create(OutgoingMessage.prototype, {
   constructor: { value: EncodedOutgoingRequest }
@@ -570,6 +1468,11 @@ EncodedOutgoingRequest.prototype._start = function _start(stream, options) {
   // headers are present
   this.setHeader('user-agent', 'dorusu-nodejs/0.1');
   this.setHeader('content-type', 'application/grpc');
+  this.setHeader('grpc-accept-encoding', compression.acceptEncoding());
+  if (this.codecOpts.compression &&
+      this.codecOpts.compression !== compression.IDENTITY) {
+    this.setHeader('grpc-encoding', this.codecOpts.compression);
+  }
   for (var key in options.headers) {
     this.setHeader(key, options.headers[key]);
   }
@@ -605,12 +1508,118 @@ EncodedOutgoingRequest.prototype._start = function _start(stream, options) {
   // handler
   var response = new DecodedIncomingResponse(this.stream, this.codecOpts);
   this.cancelResponse = response.canceller;
-  response.once('ready', this.emit.bind(this, 'response', response));
+  this._response = response;
+  response.once('ready', () => {
+    this._responded = true;
+    this.emit('response', response);
+  });
+
+  // Fail the rpc if the server resets the stream, as it then ends without an
+  // rpc status.
+  response.once('reset', (error) => {
+    var code = dorusu.rpcCode(dorusu.h2NameToRpcName(error) || 'INTERNAL');
+    var message = 'The stream was reset: ' + error;
+    this.cancelled = true;
+    if (this._responded) {
+      response._fail(code, message);
+    } else {
+      this._fail(code, message);
+    }
+  });
 
   // Register a callback that cancels push promises
   this.stream.on('promise', this._onPromise.bind(this));
 };
 
+/**
+ * Fails the request before it starts, e.g, if no connection is available.
+ *
+ * No response is received, instead the request emits 'status' with the
+ * failure.  'error' is not emitted, so that a failed connection does not
+ * throw when no one is listening for it.
+ *
+ * @param {number} code the rpc code of the failure
+ * @param {string} message describes the failure
+ */
+EncodedOutgoingRequest.prototype._fail = function _fail(code, message) {
+  var status = {
+    'code': code,
+    'message': message
+  };
+  this.cancelled = true;
+  this.emit('status', status);
+};
+
+/**
+ * Fails the request when no connection is available for it.
+ *
+ * Like `_fail`, the request emits 'status'.  As well, the response callback
+ * receives a response that reports the failure like that of any other failed
+ * rpc, i.e, it emits 'status' and 'error'.
+ *
+ * @param {number} code the rpc code of the failure
+ * @param {string} message describes the failure
+ */
+EncodedOutgoingRequest.prototype._failConnect =
+  function _failConnect(code, message) {
+    if (this.cancelled) {
+      return;
+    }
+    var status = {
+      'code': code,
+      'message': message
+    };
+    this._fail(code, message);
+    var response = new SyntheticResponse({status: status});
+    this.emit('response', response);
+    response._start();
+  };
+
+/**
+ * an internal callback that fails the rpc when a message can't be encoded,
+ * e.g, if it is longer than the maximum send message length.
+ */
+EncodedOutgoingRequest.prototype._onEncodeError =
+  function _onEncodeError(err) {
+    var code = err instanceof dorusu.RpcError ?
+        err.code : dorusu.rpcCode('INTERNAL');
+    if (this._log) {
+      this._log.error({ error: err }, 'Failed to encode a message');
+    }
+    this.cancelled = true;
+    if (this.stream) {
+      this._encoder.unpipe(this.stream);
+      this.stream.reset('CANCEL');
+    }
+    if (this._response) {
+      this._response._cancel(code, err.message);
+    }
+    if (!this._responded) {
+      this._fail(code, err.message);
+    }
+  };
+
+/**
+ * Fails the request with UNAVAILABLE after its connection is lost.
+ *
+ * @param {string} message describes why the connection was lost
+ */
+EncodedOutgoingRequest.prototype._onConnectionLost =
+  function _onConnectionLost(message) {
+    var response = this._response;
+    if (response && response._rpcStatus) {
+      return;  // the rpc already completed
+    }
+    var code = dorusu.rpcCode('UNAVAILABLE');
+    this.cancelled = true;
+    if (response) {
+      response._cancel(code, message);
+    }
+    if (!this._responded) {
+      this._fail(code, message);
+    }
+  };
+
 /**
  * Sets the priority on this request's `http2.Stream`.
  */
@@ -624,10 +1633,17 @@ EncodedOutgoingRequest.prototype.setPriority = function setPriority(priority) {
 
 /**
  * Aborts this request.
+ *
+ * If no response was received, the request emits 'status' with the
+ * cancellation, as it does when it fails before a response.
+ *
+ * @param {number} [opt_code] the rpc code of the cancellation, CANCELLED by
+ *                            default
  */
 EncodedOutgoingRequest.prototype.abort = function abort(opt_code) {
   if (this.stream) {
     var cancelCode = opt_code || dorusu.rpcCode('CANCELLED');
+    var wasCancelled = this.cancelled;
     if (this.cancelResponse) {
       this.cancelResponse(cancelCode);
     }
@@ -635,6 +1651,11 @@ EncodedOutgoingRequest.prototype.abort = function abort(opt_code) {
     this.cancelled = true;
     this.stream.unpipe();
     this.stream.reset('CANCEL');
+    if (!this._responded && !wasCancelled) {
+      this._fail(cancelCode,
+                 cancelCode === dorusu.rpcCode('DEADLINE_EXCEEDED') ?
+                 'Deadline exceeded' : 'The rpc was cancelled');
+    }
   } else {
     this.on('socket', this.abort.bind(this, opt_code));
   }
@@ -677,16 +1698,27 @@ function DecodedIncomingResponse(stream, opts) {
   // desired effect.
   PassThrough.call(this, {highWaterMark: 32 * 1024 * 1024});
 
-  // Pipe the stream to the decoder.
+  // Pipe the stream to the decoder, failing the rpc if decoding fails.
   stream.pipe(this._decoder);
+  this._decoder.on('error', this._onDecodeError.bind(this));
 
   // Copy specific headers as metadata.
   this.metadata = {};
 
+  // The metadata received in the headers and the trailers, both are also
+  // added to metadata.
+  this.initialMetadata = {};
+  this.trailingMetadata = {};
+
   // Verify that the rpcStatus header is received.
   stream.once('end', this._checkOnEnd.bind(this));
   this._rpcStatus = undefined;
 
+  // Record the error code if the server resets the stream, as the stream then
+  // ends without an rpc status.
+  this._resetError = undefined;
+  h2endpoint.onPeerReset(stream, (error) => { this._resetError = error; });
+
   /**
    * canceller is a function(code) that's called with the cancellation status
    * code to cancel the response.
@@ -715,6 +1747,36 @@ DecodedIncomingResponse.prototype.on = function on(event, listener) {
   }
 };
 
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  /**
+   * Allows the decoded messages to be consumed using `for await`.
+   *
+   * The iteration fails with a `dorusu.RpcError` if the rpc ends with a
+   * non-OK status.
+   *
+   * @returns {MessageIterator} an async iterator over the received messages
+   */
+  DecodedIncomingResponse.prototype[Symbol.asyncIterator] = function() {
+    var checkEnd = () => {
+      var st = this._rpcStatus;
+      if (st && st.code !== dorusu.rpcCode('OK')) {
+        return new dorusu.RpcError(st.code, st.message, this.metadata,
+                                   st.details);
+      }
+    };
+    var it = new MessageIterator(this._decoder, {checkEnd: checkEnd});
+
+    // Non-OK statuses are reported once the decoder ends, other errors fail
+    // the iteration immediately.
+    this.on('error', (err) => {
+      if (err instanceof Error) {
+        it.fail(err);
+      }
+    });
+    return it;
+  };
+}
+
 /**
  * Extends `IncomingResponse._onHeaders` to handle the rpc protocols' special
  * status headers.
@@ -725,17 +1787,43 @@ DecodedIncomingResponse.prototype._onHeaders = function _onHeaders(headers) {
   var updateMetadata = this._updateMetadata.bind(this);
   var checkStatusHeaders = this._checkStatusHeaders.bind(this);
   IncomingResponse.prototype._onHeaders.call(this, headers);
+  this._checkEncoding(headers);
   checkStatusHeaders(headers);
   updateMetadata(headers);
+  this.initialMetadata = _.clone(this.metadata);
 
   // For rpcs that return more than one message, the status will be in the
   // trailers; this is checked by a listener for 'headers'.
   this.stream.on('headers', (headers) => {
     checkStatusHeaders(headers);
+    _.forEach(headers, (value, name) => {
+      this._addMetadata(name, value, this.trailingMetadata);
+    });
     updateMetadata(headers);
   });
 };
 
+/**
+ * Used by DecodedIncomingResponse#_onHeaders to configure decompression.
+ *
+ * If the response uses an unsupported encoding, it fails with the rpc code
+ * UNIMPLEMENTED.
+ *
+ * @param {object} headers the headers received on the stream.
+ */
+DecodedIncomingResponse.prototype._checkEncoding =
+  function _checkEncoding(headers) {
+    var encoding = headers['grpc-encoding'];
+    if (compression.isSupported(encoding)) {
+      this._decoder.compression = encoding;
+      return;
+    }
+    this._log.error({ key: 'grpc-encoding', value: encoding },
+                    'Unsupported grpc-encoding value');
+    this._fail(dorusu.rpcCode('UNIMPLEMENTED'),
+               'Unsupported compression: ' + encoding);
+  };
+
 /**
  * Used by DecodedIncomingResponse#_onHeaders to fire a metadata event.
  *
@@ -761,29 +1849,34 @@ DecodedIncomingResponse.prototype._updateMetadata =
 
 var endsWithBin = /-bin$/;
 
-DecodedIncomingResponse.prototype._addMetadata = function _addMetadata(k, v) {
-  if (dorusu.isReservedHeader(k)) {
-    return;
-  }
-  if (!endsWithBin.test(k)) {
-    this.metadata[k] = v;
-    return;
-  }
-  var realName = k.slice(0, -4);
-  if (_.isArray(v)) {
-    this.metadata[realName] = _.map(v, (x) => new Buffer(x, 'base64'));
-  } else {
-    this.metadata[realName] = new Buffer(v, 'base64');
-  }
-};
+DecodedIncomingResponse.prototype._addMetadata =
+  function _addMetadata(k, v, opt_into) {
+    var into = opt_into || this.metadata;
+    if (dorusu.isReservedHeader(k)) {
+      return;
+    }
+    if (!endsWithBin.test(k)) {
+      into[k] = v;
+      return;
+    }
+    var realName = k.slice(0, -4);
+    if (_.isArray(v)) {
+      into[realName] = _.map(v, (x) => new Buffer(x, 'base64'));
+    } else {
+      into[realName] = new Buffer(v, 'base64');
+    }
+  };
 
 /**
  * Cancels the response, set the its rpcStatus.
+ *
+ * @param {number} code the rpc code of the cancellation
+ * @param {string} [opt_message] describes the cancellation
  */
-DecodedIncomingResponse.prototype._cancel = function _cancel(code) {
+DecodedIncomingResponse.prototype._cancel = function _cancel(code, opt_message) {
   this._rpcStatus = {
     'code': code,
-    'message': ''
+    'message': opt_message || ''
   };
   this._decoder.push(null);   /* End the decoder stream */
 
@@ -791,15 +1884,51 @@ DecodedIncomingResponse.prototype._cancel = function _cancel(code) {
   this.emit('status', this._rpcStatus);
 };
 
+/**
+ * an internal callback that fails the response when a message can't be decoded.
+ */
+DecodedIncomingResponse.prototype._onDecodeError =
+  function _onDecodeError(err) {
+    this._log.error({ error: err }, 'Failed to decode a message');
+    var code = err instanceof dorusu.RpcError ?
+        err.code : dorusu.rpcCode('INTERNAL');
+    this._fail(code, err.message);
+  };
+
+/**
+ * Fails the response locally, resetting its stream.
+ *
+ * @param {number} code the rpc code of the failure
+ * @param {string} message describes the failure
+ */
+DecodedIncomingResponse.prototype._fail = function _fail(code, message) {
+  this._rpcStatus = {
+    'code': code,
+    'message': message
+  };
+  this.stream.reset('CANCEL');
+  this._decoder.push(null);   /* End the decoder stream */
+  this.emit('status', this._rpcStatus);
+  this.emit('error', this._rpcStatus);
+};
+
 /**
  * an internal callback that confirms that the response has a status
  * assigned when it ends.
+ *
+ * If the server reset the stream, it emits 'reset' with the http2 error code
+ * instead.
  */
 DecodedIncomingResponse.prototype._checkOnEnd = function _checkOnEnd() {
   this._log.info('stream on <end>, rpcStatus is %j', this._rpcStatus);
-  if (!this._rpcStatus) {
-    throw new Error('No rpc status was received');
+  if (this._rpcStatus) {
+    return;
   }
+  if (this._resetError) {
+    this.emit('reset', this._resetError);
+    return;
+  }
+  throw new Error('No rpc status was received');
 };
 
 /**
@@ -840,8 +1969,11 @@ DecodedIncomingResponse.prototype._checkStatusHeaders =
       }
       this._rpcStatus = {
         'code': statusCode,
-        'message': headers['grpc-message'] || ''
+        'message': decodeStatusMessage(headers['grpc-message'] || '')
       };
+      if (statusCode !== 0 && headers[richStatus.DETAILS_HEADER]) {
+        this._addStatusDetails(headers[richStatus.DETAILS_HEADER]);
+      }
       // Emit the status, also emitting as an error if its non-zero
       this.emit('status', this._rpcStatus);
       if (statusCode !== 0) {
@@ -850,6 +1982,23 @@ DecodedIncomingResponse.prototype._checkStatusHeaders =
     }
   };
 
+/**
+ * Adds the details of a failed status, decoded from the value of the
+ * grpc-status-details-bin trailer, to the rpc status.
+ *
+ * @param {string} value the base64 encoded `google.rpc.Status`
+ */
+DecodedIncomingResponse.prototype._addStatusDetails =
+  function _addStatusDetails(value) {
+    try {
+      var decoded = richStatus.decode(new Buffer(value, 'base64'));
+      this._rpcStatus.details = decoded.details;
+    } catch (err) {
+      this._log.error({ key: richStatus.DETAILS_HEADER, error: err },
+                      'Invalid status details');
+    }
+  };
+
 function normalizeOptions(options) {
   if (typeof options === 'string') {
     return url.parse(options);
@@ -40,18 +40,28 @@
  */
 
 var _ = require('lodash');
+var compression = require('./compression');
 var dorusu = require('./dorusu');
 
 var ConcatStream = require('concat-stream');
 var Readable = require('stream').Readable;
 var Transform = require('stream').Transform;
 
+// The minimum length of and encoded buffer.
+var MINIMUM_ENCODED_LENGTH = 5;
+var LENGTH_INDEX = 1;
+var COMPRESSION_INDEX = 0;
+
 /**
  * encodeMessage encodes an rpc-protocol message.
  *
  * @param {object} message the message to encode
  * @param {object} opts configures the encoding
  * @param {function} opts.marshal converts an object into a `Buffer`
+ * @param {object} [opts.compressor] compresses the marshalled message
+ * @param {number} [opts.maxMessageLength] when set, encoding fails with
+ *                                         RESOURCE_EXHAUSTED if the marshalled
+ *                                         message is longer than this
  * @param {function} done is node-style callback function
  */
 exports.encodeMessage = function encodeMessage(message, opts, done) {
@@ -86,10 +96,16 @@ exports.EncodingStream = EncodingStream;
  * by the rpc protocol.
  *
  * For each input, it emits the buffer obtained by encoding it with
- * `encodeMessage`.
+ * `encodeMessage`.  Inputs wrapped using `compression.uncompressed` are
+ * not compressed.
  *
  * @param {object} opts is used to configure how messages are enccoded
  * @param {function} [opts.marshal] converts an object into a `Buffer`
+ * @param {string} [opts.compression] names the encoding used to compress
+ *                                    messages
+ * @param {number} [opts.maxSendMessageLength] when set, the stream fails with
+ *                                             RESOURCE_EXHAUSTED if a message's
+ *                                             payload is longer than this
  * @constructor
  * @extends external:Transform
  */
@@ -104,8 +120,17 @@ function EncodingStream(opts) {
 
   opts.writableObjectMode = true;  // the messages are objects
   this._marshal = opts.marshal;
+  this._compressor = compression.get(opts.compression);
   Transform.call(this, opts);
 
+  /**
+   * The maximum length of a marshalled message, before it's compressed.
+   *
+   * @name EncodingStream#maxMessageLength
+   * @type {number|undefined}
+   */
+  this.maxMessageLength = opts.maxSendMessageLength;
+
   /**
    * Allows the marshal function to be updated.
    *
@@ -115,6 +140,16 @@ function EncodingStream(opts) {
   Object.defineProperty(this, 'marshal', {
     set: (x) => { this._marshal = x; }
   });
+
+  /**
+   * Allows the compression used to encode messages to be updated.
+   *
+   * @name EncodingStream#compression
+   * @type {string}
+   */
+  Object.defineProperty(this, 'compression', {
+    set: (x) => { this._compressor = compression.get(x); }
+  });
 }
 EncodingStream.prototype = Object.create(
   Transform.prototype, { constructor: { value: EncodingStream } });
@@ -133,14 +168,18 @@ EncodingStream.prototype._transform = function(msg, unused_encoding, next) {
     this.push(encoded);
     next();
   };
-  encodeMessage(msg, { marshal: this._marshal }, handleEncoded.bind(this));
+  var encOpts = {
+    marshal: this._marshal,
+    compressor: this._compressor,
+    maxMessageLength: this.maxMessageLength
+  };
+  if (compression.isUncompressed(msg)) {
+    msg = msg.message;
+    encOpts.compressor = null;
+  }
+  encodeMessage(msg, encOpts, handleEncoded.bind(this));
 };
 
-// The minimum length of and encoded buffer.
-var MINIMUM_ENCODED_LENGTH = 5;
-var LENGTH_INDEX = 1;
-var COMPRESSION_INDEX = 0;
-
 
 /**
  * Decodes an `Buffer` encoded as defined by rpc protocol into an object.
@@ -151,6 +190,9 @@ var COMPRESSION_INDEX = 0;
  * @param {external:Buffer} encoded an encoded message
  * @param {object} opts configures the decoding
  * @param {function} opts.unmarshal converts a decoded buffer into an object
+ * @param {object} [opts.decompressor] decompresses compressed messages
+ * @param {number} [opts.maxMessageLength] limits the length of a decompressed
+ *                                         message
  * @param {function} done is node-style callback function
  */
 exports.decodeMessage = function decodeMessage(encoded, opts, done) {
@@ -164,15 +206,23 @@ exports.decodeMessage = function decodeMessage(encoded, opts, done) {
     return;
   }
 
-  // TODO: interpret the decompression bit once that's available.
-  var compression = buf.readUInt8(COMPRESSION_INDEX);
+  var compressed = buf.readUInt8(COMPRESSION_INDEX);
   var length = buf.readUInt32BE(LENGTH_INDEX, 4);
   var payload = buf.slice(MINIMUM_ENCODED_LENGTH);
-  if (compression === 0 && payload.length !== length) {
+  if (payload.length !== length) {
     log.error('Encoded message length was wrong');
     done(new Error('Encoded message length is wrong'));
     return;
   }
+  if (compressed) {
+    try {
+      payload = decompress(payload, opts.decompressor, opts.maxMessageLength);
+    } catch (err) {
+      log.error({error: err}, 'Decompression failed');
+      done(err);
+      return;
+    }
+  }
   if (opts.unmarshal) {
     try {
       log.trace({message: payload}, 'unmarshalling message');
@@ -188,6 +238,62 @@ exports.decodeMessage = function decodeMessage(encoded, opts, done) {
 };
 var decodeMessage = exports.decodeMessage;
 
+/**
+ * Decompresses the payload of a message whose compressed flag was set.
+ *
+ * @param {external:Buffer} payload the compressed payload
+ * @param {object} decompressor the decompressor for the rpc's encoding
+ * @param {number} [opt_maxLength] the maximum length of the decompressed
+ *                                 payload; decompression stops once it's
+ *                                 exceeded, rather than inflating the whole
+ *                                 payload
+ * @returns {external:Buffer} the decompressed payload
+ * @throws {Error} if there is no decompressor or decompression fails
+ * @throws {RpcError} RESOURCE_EXHAUSTED if the decompressed payload is too
+ *                    long
+ */
+function decompress(payload, decompressor, opt_maxLength) {
+  if (!decompressor) {
+    throw new Error('Compressed message received without an encoding');
+  }
+  if (!_.isFinite(opt_maxLength)) {
+    return decompressor.decompress(payload);
+  }
+  try {
+    // zlib requires a positive maxOutputLength; an empty limit is enforced by
+    // the check made once the payload is decompressed.
+    return decompressor.decompress(payload, {
+      maxOutputLength: Math.max(opt_maxLength, 1)
+    });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new dorusu.RpcError(
+        dorusu.rpcCode('RESOURCE_EXHAUSTED'),
+        'Received message larger than max (more than ' + opt_maxLength +
+        ' bytes once decompressed)');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Checks the length of a message payload against a maximum length.
+ *
+ * @param {number} length the length of the payload
+ * @param {number} [max] the maximum length; when not set, any length is ok
+ * @param {string} what describes the message, e.g, 'Received'
+ * @returns {RpcError|undefined} a RESOURCE_EXHAUSTED error if the payload is
+ *                               too long
+ */
+function checkLength(length, max, what) {
+  if (!_.isFinite(max) || length <= max) {
+    return undefined;
+  }
+  return new dorusu.RpcError(
+    dorusu.rpcCode('RESOURCE_EXHAUSTED'),
+    what + ' message larger than max (' + length + ' vs. ' + max + ')');
+}
+
 exports.DecodingStream = DecodingStream;
 
 /**
@@ -197,6 +303,12 @@ exports.DecodingStream = DecodingStream;
  *
  * @param {object} opts is used to configure decoding
  * @param {function} [opts.unmarshal] converts a decoded buffer into an object
+ * @param {number} [opts.maxMessages] when set, the stream fails if it decodes
+ *                                    more messages than this
+ * @param {number} [opts.maxReceiveMessageLength] when set, the stream fails
+ *                                                with RESOURCE_EXHAUSTED if a
+ *                                                message's payload is longer
+ *                                                than this
  * @constructor
  * @extends external:Transform
  */
@@ -212,7 +324,28 @@ function DecodingStream(opts) {
   Transform.call(this, opts);
 
   this._unmarshal = opts.unmarshal;
+  this._decompressor = null;
   this._buffer = null;
+  this._decoded = 0;
+
+  /**
+   * The maximum number of messages that may be decoded.
+   *
+   * @name DecodingStream#maxMessages
+   * @type {number|undefined}
+   */
+  this.maxMessages = opts.maxMessages;
+
+  /**
+   * The maximum length of the payload of a decoded message.
+   *
+   * It is checked using the length prefix, before the payload is buffered, and
+   * while a compressed payload is decompressed.
+   *
+   * @name DecodingStream#maxMessageLength
+   * @type {number|undefined}
+   */
+  this.maxMessageLength = opts.maxReceiveMessageLength;
 
   /**
    * Allows the unmarshal function to be updated.
@@ -224,6 +357,18 @@ function DecodingStream(opts) {
     set: (x) => { this._unmarshal = x; },
     get: () => this._unmarshal,
   });
+
+  /**
+   * Sets the encoding used to decompress compressed messages.
+   *
+   * It is usually set from the value of the `grpc-encoding` header.
+   *
+   * @name DecodingStream#compression
+   * @type {string}
+   */
+  Object.defineProperty(this, 'compression', {
+    set: (x) => { this._decompressor = compression.get(x); }
+  });
 }
 DecodingStream.prototype = Object.create(
   Transform.prototype, { constructor: { value: DecodingStream } });
@@ -247,9 +392,13 @@ DecodingStream.prototype._transform =
     }
 
     var length = this._buffer.readUInt32BE(LENGTH_INDEX, 4);
+    var tooLong = this._checkLength(length);
+    if (tooLong) {
+      next(tooLong);
+      return;
+    }
     var payloadLength = length + MINIMUM_ENCODED_LENGTH;
-    // TODO: once the compression enum is decided, perform decompression
-    // var unused_compression = this._buffer.readUInt8(0);
+    var compressed = this._buffer.readUInt8(COMPRESSION_INDEX);
     if (this._buffer.length < payloadLength) {
       // Not enough payload bytes yet, keep going
       // TODO: log this
@@ -260,16 +409,65 @@ DecodingStream.prototype._transform =
     // There is a complete buffer, emit it
     var msg = new Buffer(
       this._buffer.slice(MINIMUM_ENCODED_LENGTH, payloadLength));
+    this._buffer = this._buffer.slice(payloadLength);
+    if (compressed) {
+      try {
+        msg = decompress(msg, this._decompressor, this.maxMessageLength);
+      } catch (err) {
+        this._log.error({key: 'decodeError', error: err}, 'Decoding failed');
+        next(err);
+        return;
+      }
+      tooLong = this._checkLength(msg.length);
+      if (tooLong) {
+        next(tooLong);
+        return;
+      }
+    }
+    var tooMany = this._countMessage();
+    if (tooMany) {
+      next(tooMany);
+      return;
+    }
     // TODO: log the message for debug
     if (this._unmarshal) {
       this.push(this._unmarshal(msg));
     } else {
       this.push(msg);
     }
-    this._buffer = this._buffer.slice(payloadLength);
     next();
   };
 
+/**
+ * _countMessage counts a decoded message.
+ *
+ * @returns {Error|undefined} an error if more than maxMessages were decoded
+ */
+DecodingStream.prototype._countMessage = function _countMessage() {
+  this._decoded += 1;
+  if (this.maxMessages && this._decoded > this.maxMessages) {
+    this._log.error({key: 'decodeError', decoded: this._decoded},
+                    'Too many messages');
+    return new Error('Received more than ' + this.maxMessages + ' message(s)');
+  }
+  return undefined;
+};
+
+/**
+ * _checkLength checks the length of a message payload against maxMessageLength.
+ *
+ * @param {number} length the length of the payload
+ * @returns {RpcError|undefined} an error if the payload is too long
+ */
+DecodingStream.prototype._checkLength = function _checkLength(length) {
+  var tooLong = checkLength(length, this.maxMessageLength, 'Received');
+  if (tooLong) {
+    this._log.error({key: 'decodeError', length: length},
+                    'Message too long');
+  }
+  return tooLong;
+};
+
 /**
  * _flush overrides Transform._flush to ensure any outstanding data is decoded.
  *
@@ -280,12 +478,30 @@ DecodingStream.prototype._flush = function _flush(done) {
     done();
     return;
   }
+  if (this._buffer.length >= MINIMUM_ENCODED_LENGTH) {
+    var tooLong = this._checkLength(
+      this._buffer.readUInt32BE(LENGTH_INDEX, 4));
+    if (tooLong) {
+      done(tooLong);
+      return;
+    }
+  }
   var pushDecoded = function pushDecoded(err, buf) {
     if (err) {
       this.emit('error', err);
       this._log.error({key: 'decodeError', error: err}, 'Decoding failed');
       return;
     }
+    var tooLong = this._checkLength(buf.length);
+    if (tooLong) {
+      done(tooLong);
+      return;
+    }
+    var tooMany = this._countMessage();
+    if (tooMany) {
+      done(tooMany);
+      return;
+    }
     if (this._unmarshal) {
       this._log.trace('Unmarshalling', buf);
       this.push(this._unmarshal(buf));
@@ -294,14 +510,158 @@ DecodingStream.prototype._flush = function _flush(done) {
     }
     done();
   };
-  decodeMessage(this._buffer, null, pushDecoded.bind(this));
+  var decOpts = {
+    decompressor: this._decompressor,
+    maxMessageLength: this.maxMessageLength
+  };
+  decodeMessage(this._buffer, decOpts, pushDecoded.bind(this));
 };
 
+exports.MessageIterator = MessageIterator;
+
+/**
+ * MessageIterator is an async iterator over the messages emitted by a
+ * `Readable`, e.g, the decoder of an rpc request or response.
+ *
+ * The source is paused while messages are buffered, and resumed once they are
+ * consumed.
+ *
+ * @param {external:Readable} source emits the messages to iterate over
+ * @param {object} [opts] configures the iterator
+ * @param {function} [opts.checkEnd] called when the source ends, it may return
+ *                                   an Error that fails the iteration
+ * @constructor
+ */
+function MessageIterator(source, opts) {
+  // allow use without new
+  if (!(this instanceof MessageIterator)) {
+    return new MessageIterator(source, opts);
+  }
+  opts = opts || {};
+  this._source = source;
+  this._checkEnd = opts.checkEnd || _.noop;
+  this._buffered = [];
+  this._waiting = [];
+  this._failure = null;
+  this._done = false;
+
+  this._onData = this._onData.bind(this);
+  this._onEnd = this._onEnd.bind(this);
+  this._onError = this._onError.bind(this);
+  source.on('data', this._onData);
+  source.on('end', this._onEnd);
+  source.on('error', this._onError);
+}
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  MessageIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+/**
+ * next obtains the next message.
+ *
+ * @returns {Promise} resolves to `{value, done}`, or rejects with the Error
+ *                    that failed the iteration.
+ */
+MessageIterator.prototype.next = function next() {
+  if (this._buffered.length > 0) {
+    var value = this._buffered.shift();
+    if (this._buffered.length === 0 && !this._done) {
+      this._source.resume();
+    }
+    return Promise.resolve({value: value, done: false});
+  }
+  if (this._failure) {
+    var failure = this._failure;
+    this._failure = null;
+    return Promise.reject(failure);
+  }
+  if (this._done) {
+    return Promise.resolve({value: undefined, done: true});
+  }
+  return new Promise((resolve, reject) => {
+    this._waiting.push({resolve: resolve, reject: reject});
+  });
+};
+
+/**
+ * return stops the iteration early, discarding any buffered messages.
+ *
+ * @returns {Promise} resolves to `{value, done}` with done set to true.
+ */
+MessageIterator.prototype.return = function _return() {
+  this._buffered = [];
+  this._failure = null;
+  this._finish();
+  this._source.resume();
+  return Promise.resolve({value: undefined, done: true});
+};
+
+/**
+ * fail stops the iteration with an error once any buffered messages have been
+ * consumed.
+ *
+ * @param {Error|object} err the Error or rpc status that failed the iteration
+ */
+MessageIterator.prototype.fail = function fail(err) {
+  this._finish(toError(err));
+};
+
+MessageIterator.prototype._onData = function _onData(msg) {
+  var waiter = this._waiting.shift();
+  if (waiter) {
+    waiter.resolve({value: msg, done: false});
+    return;
+  }
+  this._buffered.push(msg);
+  this._source.pause();
+};
+
+MessageIterator.prototype._onEnd = function _onEnd() {
+  this._finish(this._checkEnd());
+};
+
+MessageIterator.prototype._onError = function _onError(err) {
+  this.fail(err);
+};
+
+MessageIterator.prototype._finish = function _finish(opt_err) {
+  if (this._done) {
+    return;
+  }
+  this._done = true;
+  this._source.removeListener('data', this._onData);
+  this._source.removeListener('end', this._onEnd);
+  this._source.removeListener('error', this._onError);
+
+  var waiting = this._waiting;
+  this._waiting = [];
+  if (opt_err && waiting.length > 0) {
+    waiting.shift().reject(opt_err);
+  } else if (opt_err) {
+    this._failure = opt_err;
+  }
+  _.forEach(waiting, (w) => w.resolve({value: undefined, done: true}));
+};
+
+/**
+ * toError converts an rpc status into an `RpcError`; Errors are unchanged.
+ */
+function toError(err) {
+  if (err instanceof Error) {
+    return err;
+  }
+  return new dorusu.RpcError(err.code, err.message);
+}
+
 /**
  * MsgHeaderStream is a `Writable` that concatenates strings or `Buffer`
  * and invokes a callback with an `Buffer` prepended by its length.
  *
  * @param {object} opts options for determining how the data is written
+ * @param {object} [opts.compressor] compresses the concatenated data
  * @param {function} callback is invoked when all data has been written
  * @constructor
  */
@@ -309,41 +669,23 @@ function MsgHeaderStream(opts, callback) {
   // Initializes the base class with the buffer
   this.opts = opts || {};
   ConcatStream.call(this, { encoding: 'buffer' }, callback);
-  this.size = 0;
 }
 MsgHeaderStream.prototype = Object.create(
   ConcatStream.prototype, {constructor: {value: MsgHeaderStream }});
 
-/**
- * Overrides ConcatStream._write to count the size of data in bytes.
- */
-MsgHeaderStream.prototype._write = function(chunk, enc, next) {
-  this.body.push(chunk);
-  this.size += chunk.length;
-  next();
-};
-
 /**
  * Overrides `ConcatStream.getBody` to return the body prefixed with the
- * size.
+ * compressed flag and the size.
  *
- * @returns {external:Buffer} containing the data written to this stream
- *                            prefixed with its length
+ * @returns {external:Buffer|Error} containing the data written to this stream
+ *                                  prefixed with its length, or the Error
+ *                                  raised if compression fails
  */
 MsgHeaderStream.prototype.getBody = function getBody() {
-  // Compute the header block.
-  var buf = new Buffer(5);
-  // TODO: fix add branch to handle the compression value once the meaning of the
-  // enum values are decided.
-  buf.writeUInt8(0, 0, 1);
-  buf.writeUInt32BE(this.size, 1, 4);
-  var parts = this.body.slice();
-  parts.unshift(buf);
-
-  // Concatenate the result into a single buffer.
+  // Concatenate the written data into a single buffer.
   var bufs = [];
-  for (var i = 0; i < parts.length; i++) {
-    var p = parts[i];
+  for (var i = 0; i < this.body.length; i++) {
+    var p = this.body[i];
     if (Buffer.isBuffer(p)) {
       bufs.push(p);
     } else if (typeof p === 'string' || isArrayish(p) ||
@@ -353,7 +695,30 @@ MsgHeaderStream.prototype.getBody = function getBody() {
       bufs.push(new Buffer(String(p)));
     }
   }
-  return Buffer.concat(bufs);
+  var payload = Buffer.concat(bufs);
+
+  // Check its length before it's compressed, as the limit is on the message.
+  var tooLong = checkLength(payload.length, this.opts.maxMessageLength, 'Sent');
+  if (tooLong) {
+    return tooLong;
+  }
+
+  // Compress it if required.
+  var compressed = 0;
+  if (this.opts.compressor) {
+    try {
+      payload = this.opts.compressor.compress(payload);
+      compressed = 1;
+    } catch (err) {
+      return err;
+    }
+  }
+
+  // Compute the header block.
+  var buf = new Buffer(MINIMUM_ENCODED_LENGTH);
+  buf.writeUInt8(compressed, COMPRESSION_INDEX, 1);
+  buf.writeUInt32BE(payload.length, LENGTH_INDEX, 4);
+  return Buffer.concat([buf, payload]);
 };
 
 function isArrayish (arr) {
@@ -486,6 +851,66 @@ exports.removeBinValues = function removeBinValues(key, value) {
   return [key, value];
 };
 
+// grpc-message values are percent-encoded.
+//
+// The message is UTF-8 encoded, then any byte that's not a printable ascii
+// character, or that's '%', is replaced by '%' followed by its value as two
+// uppercase hex digits.
+var PERCENT = 0x25;
+var MIN_UNENCODED = 0x20;
+var MAX_UNENCODED = 0x7E;
+var percentEncodedRx = /%[0-9A-Fa-f]{2}/;
+var hexByteRx = /^[0-9A-Fa-f]{2}$/;
+
+/**
+ * Percent-encodes a status message for sending as the grpc-message header.
+ *
+ * @param {string} message the status message
+ * @returns {string} the encoded message
+ */
+exports.encodeStatusMessage = function encodeStatusMessage(message) {
+  var bytes = new Buffer(String(message), 'utf8');
+  var encoded = '';
+  for (var i = 0; i < bytes.length; i++) {
+    var b = bytes[i];
+    if (b < MIN_UNENCODED || b > MAX_UNENCODED || b === PERCENT) {
+      encoded += '%' + (b < 16 ? '0' : '') + b.toString(16).toUpperCase();
+    } else {
+      encoded += String.fromCharCode(b);
+    }
+  }
+  return encoded;
+};
+
+/**
+ * Decodes a percent-encoded grpc-message header value.
+ *
+ * Any '%' that does not start a valid encoded byte is left as is.
+ *
+ * @param {string} value the grpc-message header value
+ * @returns {string} the status message
+ */
+exports.decodeStatusMessage = function decodeStatusMessage(value) {
+  value = String(value);
+  if (!percentEncodedRx.test(value)) {
+    return value;
+  }
+  // Characters that are not percent-encoded are taken as their UTF-8 bytes.
+  var chunks = [];
+  var literalStart = 0;
+  for (var i = 0; i < value.length; i++) {
+    var hex = value.slice(i + 1, i + 3);
+    if (value.charCodeAt(i) === PERCENT && hexByteRx.test(hex)) {
+      chunks.push(new Buffer(value.slice(literalStart, i), 'utf8'));
+      chunks.push(new Buffer([parseInt(hex, 16)]));
+      i += 2;
+      literalStart = i + 1;
+    }
+  }
+  chunks.push(new Buffer(value.slice(literalStart), 'utf8'));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
 /**
  * The nodejs `Buffer` class .
  * @external Buffer
@@ -0,0 +1,209 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/compression provides the algorithms used to compress individual
+ * messages sent using the rpc protocol.
+ *
+ * @module dorusu/compression
+ */
+
+var _ = require('lodash');
+var zlib = require('zlib');
+
+/**
+ * The name of the encoding used when messages are not compressed.
+ *
+ * @constant
+ * @type {string}
+ */
+var IDENTITY = exports.IDENTITY = 'identity';
+
+/**
+ * compressors holds the supported compression algorithms by name.
+ *
+ * Each is an object with synchronous `compress` and `decompress` functions
+ * that convert a `Buffer` into another `Buffer`.  More may be added using
+ * `register`.
+ */
+var compressors = {
+  gzip: {
+    compress: zlib.gzipSync,
+    decompress: zlib.gunzipSync
+  },
+  deflate: {
+    compress: zlib.deflateSync,
+    decompress: zlib.inflateSync
+  }
+};
+
+/**
+ * Adds a compression algorithm, making it available for use by rpc clients
+ * and servers.
+ *
+ * Registering an existing name replaces its compressor.
+ *
+ * @param {string} name the name of the encoding, as used in `grpc-encoding`
+ * @param {object} compressor implements the compression algorithm
+ * @param {function} compressor.compress synchronously compresses a `Buffer`
+ * @param {function} compressor.decompress synchronously decompresses a
+ *                                         `Buffer`; it may be given options
+ *                                         like zlib's, e.g, `maxOutputLength`
+ * @throws {RangeError} if name is missing, is 'identity' or contains a comma
+ * @throws {TypeError} if compress or decompress are not functions
+ */
+exports.register = function register(name, compressor) {
+  if (!_.isString(name) || !name || name === IDENTITY ||
+      _.includes(name, ',')) {
+    throw new RangeError('Invalid compression name: ' + name);
+  }
+  if (!compressor || !_.isFunction(compressor.compress) ||
+      !_.isFunction(compressor.decompress)) {
+    throw new TypeError('compressor needs compress and decompress functions');
+  }
+  compressors[name] = {
+    compress: compressor.compress,
+    decompress: compressor.decompress
+  };
+};
+
+/**
+ * Removes a compression algorithm added by `register`.
+ *
+ * @param {string} name the name of the encoding
+ * @returns {boolean} true if a compressor was removed
+ */
+exports.unregister = function unregister(name) {
+  if (!_.has(compressors, name)) {
+    return false;
+  }
+  delete compressors[name];
+  return true;
+};
+
+/**
+ * Determines if `name` is a supported encoding.
+ *
+ * @param {string} name the name of an encoding, e.g, from `grpc-encoding`
+ * @returns {boolean} true if messages with this encoding can be decoded
+ */
+exports.isSupported = function isSupported(name) {
+  return !name || name === IDENTITY || _.has(compressors, name);
+};
+
+/**
+ * Obtains the compressor for the encoding `name`.
+ *
+ * @param {string} [name] the name of an encoding
+ * @returns {object|null} the compressor, null if no compression is needed
+ * @throws {RangeError} if the encoding is not supported
+ */
+exports.get = function get(name) {
+  if (!name || name === IDENTITY) {
+    return null;
+  }
+  if (!_.has(compressors, name)) {
+    throw new RangeError('Unsupported compression: ' + name);
+  }
+  return compressors[name];
+};
+
+/**
+ * Lists the supported encodings.
+ *
+ * @returns {string[]} the names of all the supported encodings
+ */
+exports.names = function names() {
+  return [IDENTITY].concat(_.keys(compressors));
+};
+
+/**
+ * The value sent as `grpc-accept-encoding` to advertise supported encodings.
+ *
+ * @returns {string} the supported encodings as a comma-separated list
+ */
+exports.acceptEncoding = function acceptEncoding() {
+  return exports.names().join(',');
+};
+
+/**
+ * Determines whether `name` was advertised by the peer.
+ *
+ * @param {string} name the name of an encoding
+ * @param {string} [accepted] a value received in `grpc-accept-encoding`
+ * @returns {boolean} true if the peer will accept messages encoded with name
+ */
+exports.isAccepted = function isAccepted(name, accepted) {
+  if (!name || name === IDENTITY) {
+    return true;
+  }
+  if (!accepted) {
+    return false;
+  }
+  return _.includes(_.map(accepted.split(','), _.trim), name);
+};
+
+/**
+ * Uncompressed marks a message that should be sent without compression.
+ *
+ * @param {object} message the message to send
+ * @constructor
+ */
+function Uncompressed(message) {
+  this.message = message;
+}
+
+/**
+ * Marks `message` so that it is sent uncompressed, even when the rpc has an
+ * encoding, e.g, because it's already compressed.
+ *
+ * @example
+ * response.write(compression.uncompressed(jpegBytes));
+ *
+ * @param {object} message the message to send
+ * @returns {object} a value that may be written in place of message
+ */
+exports.uncompressed = function uncompressed(message) {
+  return new Uncompressed(message);
+};
+
+/**
+ * Determines if `value` was created by `uncompressed`.
+ *
+ * @param {object} value a value written to an rpc
+ * @returns {boolean} true if value should be sent uncompressed
+ */
+exports.isUncompressed = function isUncompressed(value) {
+  return value instanceof Uncompressed;
+};
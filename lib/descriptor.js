@@ -0,0 +1,322 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/descriptor describes loaded protobuf definitions using
+ * `google.protobuf.FileDescriptorProto` messages, e.g, so that they can be
+ * served by the reflection service.
+ *
+ * The descriptors of the files loaded together are held in a pool:
+ *
+ * {
+ *   files: {<file name>: <encoded FileDescriptorProto>},
+ *   dependencies: {<file name>: [<names of the files it imports>]},
+ *   definedIn: {<full name of a top-level symbol>: <file name>}
+ * }
+ *
+ * @module dorusu/descriptor
+ */
+
+var _ = require('lodash');
+var path = require('path');
+
+var ProtoBuf = require('protobufjs');
+
+var builder = ProtoBuf.loadProtoFile({
+  root: path.join(__dirname, 'protos'),
+  file: 'google/protobuf/descriptor.proto'
+});
+
+/**
+ * The protobufjs message class of `google.protobuf.FileDescriptorProto`.
+ *
+ * @type {function}
+ */
+exports.FileDescriptorProto =
+  builder.build('google.protobuf.FileDescriptorProto');
+
+var Field = ProtoBuf.Reflect.Message.Field;
+var Message = ProtoBuf.Reflect.Message;
+var OneOf = ProtoBuf.Reflect.Message.OneOf;
+var Enum = ProtoBuf.Reflect.Enum;
+var RPCMethod = ProtoBuf.Reflect.Service.RPCMethod;
+
+// fieldTypes maps the protobufjs field type names to the descriptor types.
+var fieldTypes = {
+  'double': 'TYPE_DOUBLE',
+  'float': 'TYPE_FLOAT',
+  'int64': 'TYPE_INT64',
+  'uint64': 'TYPE_UINT64',
+  'int32': 'TYPE_INT32',
+  'fixed64': 'TYPE_FIXED64',
+  'fixed32': 'TYPE_FIXED32',
+  'bool': 'TYPE_BOOL',
+  'string': 'TYPE_STRING',
+  'group': 'TYPE_GROUP',
+  'message': 'TYPE_MESSAGE',
+  'bytes': 'TYPE_BYTES',
+  'uint32': 'TYPE_UINT32',
+  'enum': 'TYPE_ENUM',
+  'sfixed32': 'TYPE_SFIXED32',
+  'sfixed64': 'TYPE_SFIXED64',
+  'sint32': 'TYPE_SINT32',
+  'sint64': 'TYPE_SINT64'
+};
+
+/**
+ * Obtains the json name of a field, as protoc does.
+ */
+function jsonName(name) {
+  return name.replace(/_+(.)?/g, (unused, c) => c ? c.toUpperCase() : '');
+}
+
+/**
+ * Describes a field, without the details that depend on its parent.
+ */
+function fieldProto(field) {
+  var proto = {
+    'name': field.name,
+    'number': field.id,
+    'label': 'LABEL_OPTIONAL',
+    'type': fieldTypes[field.type.name],
+    'json_name': jsonName(field.name)
+  };
+  if (field.repeated) {
+    proto.label = 'LABEL_REPEATED';
+  } else if (field.required) {
+    proto.label = 'LABEL_REQUIRED';
+  }
+  if (field.resolvedType) {
+    proto.type_name = field.resolvedType.fqn();
+  }
+  if (!_.isUndefined(field.options['default'])) {
+    proto.default_value = String(field.options['default']);
+  }
+  if (!_.isUndefined(field.options.packed)) {
+    proto.options = {'packed': field.options.packed};
+  }
+  return proto;
+}
+
+/**
+ * Describes a map field, adding the map entry message it uses to nested.
+ */
+function mapFieldProto(msg, field, nested) {
+  var entryName = _.capitalize(_.camelCase(field.name)) + 'Entry';
+  var value = {
+    'name': 'value',
+    'number': 2,
+    'label': 'LABEL_OPTIONAL',
+    'type': fieldTypes[field.type.name],
+    'json_name': 'value'
+  };
+  if (field.resolvedType) {
+    value.type_name = field.resolvedType.fqn();
+  }
+  nested.push({
+    'name': entryName,
+    'field': [{
+      'name': 'key',
+      'number': 1,
+      'label': 'LABEL_OPTIONAL',
+      'type': fieldTypes[field.keyType.name],
+      'json_name': 'key'
+    }, value],
+    'options': {'map_entry': true}
+  });
+  return {
+    'name': field.name,
+    'number': field.id,
+    'label': 'LABEL_REPEATED',
+    'type': 'TYPE_MESSAGE',
+    'type_name': msg.fqn() + '.' + entryName,
+    'json_name': jsonName(field.name)
+  };
+}
+
+/**
+ * Describes a message type, including its nested types.
+ */
+function messageProto(msg) {
+  var oneofs = msg.getChildren(OneOf);
+  var nested = _.map(msg.getChildren(Message), messageProto);
+  var fields = _.filter(msg.getChildren(Field), (f) => {
+    return !(f instanceof Message.ExtensionField);
+  });
+  var proto = {
+    'name': msg.name,
+    'field': _.map(fields, (f) => {
+      if (f.map) {
+        return mapFieldProto(msg, f, nested);
+      }
+      var fProto = fieldProto(f);
+      if (f.oneof) {
+        fProto.oneof_index = oneofs.indexOf(f.oneof);
+      }
+      return fProto;
+    }),
+    'nested_type': nested,
+    'enum_type': _.map(msg.getChildren(Enum), enumProto),
+    'oneof_decl': _.map(oneofs, (o) => ({'name': o.name}))
+  };
+  if (msg.extensions) {
+    proto.extension_range = _.map(msg.extensions, (r) => {
+      return {'start': r[0], 'end': r[1] + 1};
+    });
+  }
+  return proto;
+}
+
+/**
+ * Describes an enum type.
+ */
+function enumProto(anEnum) {
+  return {
+    'name': anEnum.name,
+    'value': _.map(anEnum.getChildren(Enum.Value), (v) => {
+      return {'name': v.name, 'number': v.id};
+    })
+  };
+}
+
+/**
+ * Describes a service.
+ */
+function serviceProto(svc) {
+  return {
+    'name': svc.name,
+    'method': _.map(svc.getChildren(RPCMethod), (m) => {
+      var proto = {
+        'name': m.name,
+        'input_type': m.resolvedRequestType.fqn(),
+        'output_type': m.resolvedResponseType.fqn()
+      };
+      if (m.requestStream) {
+        proto.client_streaming = true;
+      }
+      if (m.responseStream) {
+        proto.server_streaming = true;
+      }
+      return proto;
+    })
+  };
+}
+
+/**
+ * Describes the extensions declared in a file by its `extend` blocks.
+ */
+function extensionProtos(ns, extendBlock) {
+  var extendee = ns.resolve(extendBlock.ref);
+  return _.map(extendBlock.fields, (f) => {
+    var field = _.find(extendee.getChildren(Field), (x) => x.id === f.id);
+    var proto = fieldProto(field);
+    proto.name = f.name;
+    proto.json_name = jsonName(f.name);
+    proto.extendee = extendee.fqn();
+    return proto;
+  });
+}
+
+/**
+ * Creates the pool of descriptors of the files loaded by a protobufjs
+ * builder.
+ *
+ * The files are the parsed contents of each loaded file, in the form used by
+ * `ProtoBuf.Builder#import`.
+ *
+ * @param {ProtoBuf.Builder} loaded the builder that loaded the files; its
+ *                                  types must be resolved
+ * @param {object[]} files the name and parsed json of each loaded file
+ * @returns {object} the pool of descriptors
+ */
+exports.fromBuilder = function fromBuilder(loaded, files) {
+  var pool = {
+    files: {},
+    dependencies: {},
+    definedIn: {}
+  };
+  _.forEach(files, (file) => {
+    var json = file.json;
+    var pkg = json['package'] || '';
+    var ns = pkg ? loaded.lookup(pkg) : loaded.ns;
+    var prefix = pkg ? pkg + '.' : '';
+    var extendBlocks = _.filter(json.messages, 'ref');
+    var messages = _.reject(json.messages, 'ref');
+    var definitions = _.pluck(messages.concat(json.enums || [],
+                                              json.services || []), 'name');
+    _.forEach(definitions, (name) => {
+      pool.definedIn[prefix + name] = file.name;
+    });
+    var dependencies = _.filter(json.imports, _.isString);
+    var proto = {
+      'name': file.name,
+      'package': pkg || undefined,
+      'dependency': dependencies,
+      'message_type': _.map(messages, (m) => messageProto(ns.getChild(m.name))),
+      'enum_type': _.map(json.enums, (e) => enumProto(ns.getChild(e.name))),
+      'service': _.map(json.services, (s) => serviceProto(ns.getChild(s.name))),
+      'extension': _.flatten(_.map(extendBlocks, (b) => {
+        return extensionProtos(ns, b);
+      }))
+    };
+    if (json.syntax === 'proto3') {
+      proto.syntax = 'proto3';
+    }
+    pool.files[file.name] =
+      new exports.FileDescriptorProto(proto).encode().toBuffer();
+    pool.dependencies[file.name] = dependencies;
+  });
+  return pool;
+};
+
+/**
+ * Obtains the descriptors of a file and of all the files it depends on.
+ *
+ * @param {object} pool a pool of descriptors
+ * @param {string} name the name of the file
+ * @returns {external:Buffer[]} the encoded descriptors, starting with the
+ *                              named file's
+ */
+exports.withDependencies = function withDependencies(pool, name) {
+  var names = [];
+  var add = function add(n) {
+    if (names.indexOf(n) !== -1 || !pool.files[n]) {
+      return;
+    }
+    names.push(n);
+    _.forEach(pool.dependencies[n], add);
+  };
+  add(name);
+  return _.map(names, (n) => pool.files[n]);
+};
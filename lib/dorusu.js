@@ -66,10 +66,12 @@ var _ = require('lodash');
  */
 var reservedHeaders = Object.freeze([
   'content-type',
+  'grpc-accept-encoding',
   'grpc-encoding',
   'grpc-message',
   'grpc-message-type',
   'grpc-status',
+  'grpc-status-details-bin',
   'grpc-timeout',
   'te',
   'user-agent'
@@ -306,6 +308,51 @@ exports.rpcCode = function rpcCode(name) {
   return res;
 };
 
+exports.RpcError = RpcError;
+
+/**
+ * RpcError is an `Error` that describes the failed status of an rpc.
+ *
+ * @param {number} code the rpc code of the status
+ * @param {string} [message] the status message
+ * @param {object} [metadata] any metadata associated with the failure
+ * @param {object[]} [details] the details of the failure, as described in
+ *                             `dorusu/status`
+ * @constructor
+ * @extends Error
+ */
+function RpcError(code, message, metadata, details) {
+  // allow use without new
+  if (!(this instanceof RpcError)) {
+    return new RpcError(code, message, metadata, details);
+  }
+  Error.captureStackTrace(this, RpcError);
+  this.name = 'RpcError';
+  this.code = code;
+  this.message = message || '';
+  this.metadata = metadata || {};
+  this.details = details || [];
+}
+RpcError.prototype = Object.create(Error.prototype, {
+  constructor: { value: RpcError }
+});
+
+/**
+ * The status represented by this error.
+ *
+ * @returns {object} the status, with its code, message and any details
+ */
+RpcError.prototype.toStatus = function toStatus() {
+  var status = {
+    'code': this.code,
+    'message': this.message
+  };
+  if (!_.isEmpty(this.details)) {
+    status.details = this.details;
+  }
+  return status;
+};
+
 /**
  * h2Codes is a copy of the http2 error codes array found in
  * node-http2/lib/protocol/framer.js.
@@ -435,7 +482,11 @@ exports.cipherSuites = [
 
 
 /**
- * Is an rpc handler that terminates the rpc with rpc code NOT_FOUND.
+ * Is an rpc handler that terminates the rpc with rpc code UNAVAILABLE.
+ *
+ * It waits for the first request message before responding.  Unknown routes
+ * are better handled by `unimplemented`, the default fallback of
+ * `makeDispatcher`.
  *
  * @param {object} request the rpc request
  * @param {object} response the rpc response
@@ -448,6 +499,118 @@ var unavailable = function unavailable(request, response) {
   });
 };
 
+/**
+ * Ends an rpc with rpc code UNIMPLEMENTED and the given message.
+ */
+var endUnimplemented = function endUnimplemented(request, response, message) {
+  request.unmarshal = response.marshal = _.noop;
+  response.rpcCode = exports.rpcCode('UNIMPLEMENTED');
+  response.rpcMessage = message;
+  response.end();
+};
+
+/**
+ * Is an rpc handler that terminates the rpc with rpc code UNIMPLEMENTED.
+ *
+ * It responds immediately, without waiting for the request messages.
+ *
+ * @param {object} request the rpc request
+ * @param {object} response the rpc response
+ */
+var unimplemented = function unimplemented(request, response) {
+  endUnimplemented(request, response,
+                   'Method ' + request.url + ' is not implemented');
+};
+
+/**
+ * Obtains the service name from an rpc route, i.e, `/<service>/<method>`.
+ *
+ * @returns {string|undefined} the service name, or undefined if route does not
+ *                             name a service
+ */
+var serviceOf = function serviceOf(route) {
+  var parts = route.split('/');
+  return parts.length === 3 && parts[0] === '' ? parts[1] : undefined;
+};
+
+/**
+ * Creates the default fallback handler of `makeDispatcher`.
+ *
+ * It terminates rpcs immediately with rpc code UNIMPLEMENTED; the message
+ * indicates whether the service or just the method is unknown.
+ *
+ * @param {string[]} routes the routes that are handled
+ * @returns {function(object, object)} the fallback rpc handler
+ */
+var unknownRoute = function unknownRoute(routes) {
+  var services = _.uniq(_.compact(_.map(routes, serviceOf)));
+  return function unknown(request, response) {
+    var service = serviceOf(request.url);
+    var message;
+    if (!service) {
+      message = 'Unknown method ' + request.url;
+    } else if (_.includes(services, service)) {
+      message = 'Unknown method ' + request.url.split('/')[2] +
+                ' for service ' + service;
+    } else {
+      message = 'Unknown service ' + service;
+    }
+    endUnimplemented(request, response, message);
+  };
+};
+
+/**
+ * Ends an rpc response whose handler failed with err.
+ *
+ * An `RpcError` ends the response with its status; any other error ends it
+ * with UNKNOWN.  The failure is logged using the response's logger, and is
+ * otherwise ignored if the response has already ended.
+ *
+ * @param {object} response the rpc response
+ * @param {*} err the value thrown or rejected by the handler
+ */
+var failResponse = function failResponse(response, err) {
+  if (response._log) {
+    response._log.error({ error: err, stack: err && err.stack },
+                        'An rpc handler failed');
+  }
+  if (response._ended || response.cancelled) {
+    return;
+  }
+  if (err instanceof RpcError) {
+    response.endWithError(err);
+    return;
+  }
+  response.endWithError({
+    code: exports.rpcCode('UNKNOWN'),
+    message: (err && err.message) || String(err)
+  });
+};
+
+/**
+ * Invokes an rpc handler, failing the response if the handler throws or
+ * returns a Promise that is rejected.
+ *
+ * @param {function} handler the rpc handler
+ * @param {object} request the rpc request
+ * @param {object} response the rpc response
+ * @param {...*} rest any further arguments for the handler
+ */
+exports.invokeHandler = function invokeHandler(handler, request, response) {
+  var result;
+  try {
+    result = handler.apply(null, _.slice(arguments, 1));
+  } catch (err) {
+    failResponse(response, err);
+    return;
+  }
+  if (result && _.isFunction(result.then)) {
+    result.then(null, function(err) {
+      failResponse(response, err);
+    });
+  }
+};
+
 /**
  * Creates an rpc handler from other rpc handlers.
  *
@@ -455,20 +618,27 @@ var unavailable = function unavailable(request, response) {
  * function.  The property name is the route that will dispatch to that
  * handler.
  *
- * If the returned handler is called with an unroute, the fallback handlers is
- * called.
+ * If the returned handler is called with an unknown route, the fallback
+ * handler is called.  By default, the fallback immediately ends the rpc with
+ * the rpc code UNIMPLEMENTED, and a message indicating whether the service or
+ * the method is unknown.
+ *
+ * If a handler throws, or returns a Promise that is rejected, the rpc is ended
+ * with the status of the error; see `invokeHandler`.
  *
  * @param {object} handlers an object that that maps routes to handlers
- * @param {function(object, object)} [opt_fallback=unavailable] handles unknown
+ * @param {function(object, object)} [opt_fallback] handles unknown routes
  */
 exports.makeDispatcher = function makeDispatcher(handlers, opt_fallback) {
   handlers = handlers || {};
-  var fallback = opt_fallback || unavailable;
+  var fallback = opt_fallback || unknownRoute(_.keys(handlers));
   var handle = function handle(request, response) {
     if (handlers.hasOwnProperty(request.url)) {
-      handlers[request.url](request, response);
+      // Handlers are called with the handlers table as `this`.
+      var handler = handlers[request.url].bind(handlers);
+      exports.invokeHandler(handler, request, response);
     } else {
-      fallback(request, response);
+      exports.invokeHandler(fallback, request, response);
     }
   };
   return handle;
@@ -495,3 +665,4 @@ exports.noopLogger = noopLogger;
 exports.reservedHeaders = reservedHeaders;
 exports.rpcCodes = rpcCodes;
 exports.unavailable = unavailable;
+exports.unimplemented = unimplemented;
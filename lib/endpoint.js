@@ -0,0 +1,124 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/endpoint provides the operations on node-http2 endpoints and streams
+ * that node-http2 has no public API for.
+ *
+ * These are the only places that use the internals of node-http2.  They rely
+ * on the behaviour of node-http2 3.3.x, the version required in package.json:
+ *
+ * - `Endpoint#_connection` is the endpoint's `Connection`; it emits 'GOAWAY'
+ *   with each GOAWAY frame received, and frames pushed onto it are sent
+ * - `Endpoint#_serializer` is the last stage of the endpoint's output; it
+ *   emits 'end' once the last frame has been serialized
+ * - `Stream#upstream` is written with the frames that the peer sent on the
+ *   stream
+ *
+ * They should be revisited whenever the required version of node-http2
+ * changes.
+ *
+ * @module dorusu/endpoint
+ */
+
+/**
+ * Sends GOAWAY on an endpoint's connection without closing it, so the rpcs on
+ * streams up to lastStreamId can still complete.
+ *
+ * `Endpoint#close` also sends GOAWAY, but ends the connection's output.
+ *
+ * @param {Endpoint} endpoint a `http2.Endpoint`
+ * @param {number} lastStreamId the id of the last stream that is processed
+ */
+exports.goAway = function goAway(endpoint, lastStreamId) {
+  endpoint._connection.push({
+    type: 'GOAWAY',
+    flags: {},
+    stream: 0,
+    last_stream: lastStreamId,
+    error: 'NO_ERROR'
+  });
+};
+
+/**
+ * Closes an endpoint, ending its socket once its last frame is written.
+ *
+ * `Endpoint#close` ends the endpoint's output, but never ends the socket it's
+ * piped to, leaving the socket open.
+ *
+ * @param {Endpoint} endpoint a `http2.Endpoint`
+ * @param {external:Socket} socket the socket that endpoint is piped to
+ */
+exports.close = function close(endpoint, socket) {
+  endpoint._serializer.once('end', () => socket.end());
+  endpoint.close();
+};
+
+/**
+ * Calls listener with each GOAWAY frame that an endpoint receives.
+ *
+ * @param {Endpoint} endpoint a `http2.Endpoint`
+ * @param {function} listener a function(frame)
+ */
+exports.onGoAway = function onGoAway(endpoint, listener) {
+  endpoint._connection.on('GOAWAY', listener);
+};
+
+/**
+ * Calls back with the http2 error code if the peer resets stream.
+ *
+ * node-http2 just ends a stream that its peer resets, without an event that
+ * gives the error code of the RST_STREAM frame, so this intercepts the frames
+ * written to the stream's upstream.
+ *
+ * @param {Stream} stream a `http2.Stream`
+ * @param {function} callback a function(error) called with the error code
+ */
+exports.onPeerReset = function onPeerReset(stream, callback) {
+  var upstream = stream.upstream;
+  var write = upstream.write;
+  upstream.write = function writeFrame(frame) {
+    if (frame.type === 'RST_STREAM') {
+      upstream.write = write;  // a stream is only reset once
+      callback(frame.error);
+    }
+    return write.apply(this, arguments);
+  };
+};
+
+/**
+ * The nodejs `net.Socket` class.
+ * @external Socket
+ * @see https://nodejs.org/api/net.html#net_class_net_socket
+ */
@@ -0,0 +1,221 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/health provides the standard rpc health checking service,
+ * `grpc.health.v1.Health`.
+ *
+ * A `HealthImplementation` holds the serving status of each service on a
+ * server.  It's added to an app to serve the Check and Watch rpcs:
+ *
+ * var health = new dorusu.health.HealthImplementation({'': 'SERVING'});
+ * health.addToApp(app);
+ * ...
+ * health.setStatus('math.Math', dorusu.health.NOT_SERVING);
+ *
+ * The empty service name is used for the status of the whole server.
+ *
+ * @module dorusu/health
+ */
+
+var _ = require('lodash');
+var dorusu = require('./dorusu');
+var path = require('path');
+var pb = require('./protobuf');
+
+/**
+ * The name of the health checking service.
+ *
+ * @constant
+ * @type {string}
+ */
+exports.SERVICE_NAME = 'grpc.health.v1.Health';
+
+/**
+ * The serving statuses.
+ *
+ * SERVICE_UNKNOWN is only sent by Watch, for services without a status.
+ */
+exports.SERVING = 'SERVING';
+exports.NOT_SERVING = 'NOT_SERVING';
+exports.SERVICE_UNKNOWN = 'SERVICE_UNKNOWN';
+
+var peer = pb.loadProto({
+  root: path.join(__dirname, 'protos'),
+  file: 'grpc/health/v1/health.proto'
+}).grpc.health.v1.Health;
+
+/**
+ * The `app.Service` that describes the health checking service.
+ *
+ * @type {Service}
+ */
+exports.service = peer.serverApp.services()[0];
+
+/**
+ * A client of the health checking service.
+ *
+ * @constructor
+ */
+exports.Client = peer.Client;
+
+var settable = [exports.SERVING, exports.NOT_SERVING, exports.SERVICE_UNKNOWN];
+
+exports.HealthImplementation = HealthImplementation;
+
+/**
+ * HealthImplementation implements the health checking service using the
+ * serving statuses it holds.
+ *
+ * @param {Object<string, string>} [opt_statuses] the initial serving statuses,
+ *                                                keyed by service name
+ * @constructor
+ */
+function HealthImplementation(opt_statuses) {
+  // allow use without new
+  if (!(this instanceof HealthImplementation)) {
+    return new HealthImplementation(opt_statuses);
+  }
+  this._statuses = {};
+  this._watchers = new Map();  /* the listeners of each watched service */
+  _.forEach(opt_statuses, (status, service) => {
+    this.setStatus(service, status);
+  });
+}
+
+/**
+ * Sets the serving status of a service, notifying any rpcs that watch it.
+ *
+ * @param {string} service the service name, or '' for the whole server
+ * @param {string} status one of SERVING, NOT_SERVING or SERVICE_UNKNOWN
+ * @throws {RangeError} if status is not one of those values
+ */
+HealthImplementation.prototype.setStatus = function setStatus(service, status) {
+  if (settable.indexOf(status) === -1) {
+    throw new RangeError('Invalid serving status: ' + status);
+  }
+  if (status === exports.SERVICE_UNKNOWN) {
+    delete this._statuses[service];
+  } else {
+    this._statuses[service] = status;
+  }
+  _.forEach(_.clone(this._watchers.get(service)), (listener) => {
+    listener(status);
+  });
+};
+
+/**
+ * Obtains the serving status of a service.
+ *
+ * @param {string} service the service name, or '' for the whole server
+ * @returns {string} its status, SERVICE_UNKNOWN if it has none
+ */
+HealthImplementation.prototype.getStatus = function getStatus(service) {
+  return this._statuses[service] || exports.SERVICE_UNKNOWN;
+};
+
+/**
+ * Handles the Check rpc, responding with the status of the requested service.
+ *
+ * It fails with NOT_FOUND if the service has no status.
+ *
+ * @param {object} request the rpc request
+ * @param {object} response the rpc response
+ */
+HealthImplementation.prototype.check = function check(request, response) {
+  request.once('data', (msg) => {
+    var status = this._statuses[msg.service];
+    if (!status) {
+      response.endWithError(new dorusu.RpcError(
+        dorusu.rpcCode('NOT_FOUND'), 'Unknown service: ' + msg.service));
+      return;
+    }
+    response.end({status: status});
+  });
+};
+
+/**
+ * Handles the Watch rpc, sending the status of the requested service, then
+ * sending it again each time it changes until the rpc is cancelled or its
+ * response ends.
+ *
+ * @param {object} request the rpc request
+ * @param {object} response the rpc response
+ */
+HealthImplementation.prototype.watch = function watch(request, response) {
+  request.once('data', (msg) => {
+    if (request.cancelled) {
+      return;
+    }
+    var service = msg.service;
+    var last = this.getStatus(service);
+    var onChange = (status) => {
+      if (status !== last) {
+        last = status;
+        response.write({status: status});
+      }
+    };
+    response.write({status: last});
+    var stop = () => {
+      var listeners = this._watchers.get(service);
+      _.pull(listeners, onChange);
+      if (_.isEmpty(listeners)) {
+        this._watchers.delete(service);
+      }
+      request.removeListener('cancel', stop);
+      response.removeListener('finish', stop);
+    };
+    if (!this._watchers.has(service)) {
+      this._watchers.set(service, []);
+    }
+    this._watchers.get(service).push(onChange);
+    request.once('cancel', stop);
+    response.once('finish', stop);
+  });
+};
+
+/**
+ * Adds the health checking service to an app, registering this instance's
+ * handlers.
+ *
+ * @param {RpcApp} anApp the app that will serve health checks
+ * @returns {RpcApp} anApp, allowing calls to be chained
+ */
+HealthImplementation.prototype.addToApp = function addToApp(anApp) {
+  anApp.addService(exports.service);
+  return anApp.registerService(exports.SERVICE_NAME, {
+    check: this.check.bind(this),
+    watch: this.watch.bind(this)
+  });
+};
@@ -35,9 +35,13 @@
 module.exports = require('./dorusu');
 module.exports.app = require('./app');
 module.exports.client = require('./client');
+module.exports.compression = require('./compression');
+module.exports.health = require('./health');
 module.exports.buildClient = module.exports.app.buildClient;
 module.exports.pb = require('./protobuf');
+module.exports.reflection = require('./reflection');
 module.exports.server = require('./server');
+module.exports.status = require('./status');
 module.exports.createServer = module.exports.server.createServer;
 module.exports.raw = module.exports.server.raw;
 module.exports.addAuthFromADC = require('./googleauth').addAuthFromADC;
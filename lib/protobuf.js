@@ -34,6 +34,8 @@
 
 var _ = require('lodash');
 var app = require('./app');
+var descriptor = require('./descriptor');
+var nodePath = require('path');
 
 var ProtoBuf = require('protobufjs');
 
@@ -115,7 +117,8 @@ var clientSideSvcFor = function clientSideSvcFor(protoSvc) {
       _.capitalize(m.name),
       buildMarshalFunc(m.resolvedRequestType.build()),
       buildUnmarshalFunc(m.resolvedResponseType.build()),
-      m.requestStream);
+      m.requestStream,
+      m.responseStream);
   };
   var methods = _.map(protoSvc.children, convertMethod);
   return new app.Service(fullyDotted(protoSvc), methods);
@@ -125,18 +128,24 @@ var clientSideSvcFor = function clientSideSvcFor(protoSvc) {
  * Converts a ProtoBuf service to an app.Service for use in server rpc apps.
  *
  * @param {ProtoBuf.Reflect.Service} protoSvc A protobufjs service descriptor
+ * @param {external:Buffer[]} [opt_fileDescriptors] the encoded descriptors of
+ *                                                  the file defining the
+ *                                                  service and its
+ *                                                  dependencies
  * @return {Service} the corresponding server-side app.Service
  */
-var serverSideSvcFor = function serverSideSvcFor(protoSvc) {
+var serverSideSvcFor = function serverSideSvcFor(protoSvc,
+                                                 opt_fileDescriptors) {
   var convertMethod = function convertMethod(m) {
     return app.Method(
       _.capitalize(m.name),
       buildMarshalFunc(m.resolvedResponseType.build()),
       buildUnmarshalFunc(m.resolvedRequestType.build()),
-      m.requestStream);
+      m.requestStream,
+      m.responseStream);
   };
   var methods = _.map(protoSvc.children, convertMethod);
-  return new app.Service(fullyDotted(protoSvc), methods);
+  return new app.Service(fullyDotted(protoSvc), methods, opt_fileDescriptors);
 };
 
 /**
@@ -148,24 +157,37 @@ var serverSideSvcFor = function serverSideSvcFor(protoSvc) {
  * {
  *   client: <client_service_peer>
  *   server_app: app.RpcApp(<server_service_peer>)
+ *   fileDescriptors: <encoded descriptors of the service's files>
  * }
  *
  * where client_service_peer can be used to create rpc clients using
  * `client.buildClient`, and server_app is an app.RpcApp that can
  * serve requests.
  *
+ * The file descriptors are only present when a pool of descriptors is given,
+ * as described in `dorusu/descriptor`.
+ *
  * @param {ProtoBuf.Reflect.Namespace} value the Protobuf object to load
+ * @param {object} [opt_pool] the descriptors of the loaded files
  * @return {Object<string, *>} the peer object.
  */
-var loadObject = function loadObject(value) {
+var loadObject = function loadObject(value, opt_pool) {
   var result = {};
   if (value.className === 'Namespace') {
-    _.each(value.children, (child) => { result[child.name] = loadObject(child); });
+    _.each(value.children, (child) => {
+      result[child.name] = loadObject(child, opt_pool);
+    });
     return result;
   } else if (value.className === 'Service') {
+    var fileDescriptors = [];
+    if (opt_pool) {
+      fileDescriptors = descriptor.withDependencies(
+        opt_pool, opt_pool.definedIn[fullyDotted(value)]);
+    }
     return {
       Client: app.buildClient(clientSideSvcFor(value)),
-      serverApp: new app.RpcApp(serverSideSvcFor(value))
+      serverApp: new app.RpcApp(serverSideSvcFor(value, fileDescriptors)),
+      fileDescriptors: fileDescriptors
     };
   } else if (value.className === 'Message' || value.className === 'Enum') {
     return value.build();
@@ -179,7 +201,14 @@ var loadObject = function loadObject(value) {
  *
  * @description format is either `proto` or `json`, defaulting to `proto`
  *
- * @param {string} path path of the file to load
+ * path may also be an object {root, file}, where file is the path of the
+ * file relative to root, the directory from which imports are resolved.
+ *
+ * The descriptors of the loaded files are retained by the services in the
+ * peer object.  The files are named by their path relative to the directory
+ * used to resolve imports.
+ *
+ * @param {string|object} path path of the file to load
  * @param {string} [format='proto'] the format of the file
  * @returns {Object<string, *>} a proto peer object
  */
@@ -187,19 +216,34 @@ exports.loadProto = function loadProto(path, format) {
   if (!format) {
     format = 'proto';
   }
-  var builder;
+  var root = _.isString(path) ? nodePath.dirname(path) : path.root;
+  var files = [];
+  var builder = ProtoBuf.newBuilder();
+
+  // Record the contents of each file as it's imported.
+  var importFile = builder['import'];
+  builder['import'] = function recordImport(json, filename) {
+    var name = _.isString(filename) ?
+        nodePath.relative(root, filename) : filename.file;
+    if (!_.find(files, 'name', name)) {
+      files.push({name: name, json: json});
+    }
+    return importFile.apply(this, arguments);
+  };
+
   switch(format) {
     case 'proto':
-    builder = ProtoBuf.loadProtoFile(path);
+    ProtoBuf.loadProtoFile(path, builder);
     break;
     case 'json':
-    builder = ProtoBuf.loadJsonFile(path);
+    ProtoBuf.loadJsonFile(path, builder);
     break;
     default:
     throw new Error('Unrecognized format "' + format + '"');
   }
 
-  return loadObject(builder.ns);
+  builder.resolveAll();
+  return loadObject(builder.ns, descriptor.fromBuilder(builder, files));
 };
 
 /**
@@ -0,0 +1,229 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/reflection provides the rpc server reflection service,
+ * `grpc.reflection.v1alpha.ServerReflection`.
+ *
+ * It allows clients to list the services of an app, and to obtain the
+ * protobuf definitions that they use, as encoded
+ * `google.protobuf.FileDescriptorProto` messages.  The definitions are those
+ * retained by the services when their protos are loaded using
+ * `protobuf.loadProto` or `protobuf.requireProto`.
+ *
+ * dorusu.reflection.addToApp(app);
+ *
+ * @module dorusu/reflection
+ */
+
+var _ = require('lodash');
+var descriptor = require('./descriptor');
+var dorusu = require('./dorusu');
+var path = require('path');
+var pb = require('./protobuf');
+
+/**
+ * The name of the reflection service.
+ *
+ * @constant
+ * @type {string}
+ */
+exports.SERVICE_NAME = 'grpc.reflection.v1alpha.ServerReflection';
+
+var peer = pb.loadProto({
+  root: path.join(__dirname, 'protos'),
+  file: 'grpc/reflection/v1alpha/reflection.proto'
+}).grpc.reflection.v1alpha.ServerReflection;
+
+/**
+ * The `app.Service` that describes the reflection service.
+ *
+ * @type {Service}
+ */
+exports.service = peer.serverApp.services()[0];
+
+/**
+ * A client of the reflection service.
+ *
+ * @constructor
+ */
+exports.Client = peer.Client;
+
+/**
+ * Adds the reflection service to an app, describing the app's services.
+ *
+ * @param {RpcApp} anApp the app whose services are described
+ * @returns {RpcApp} anApp, allowing calls to be chained
+ */
+exports.addToApp = function addToApp(anApp) {
+  anApp.addService(exports.service);
+  return anApp.registerService(exports.SERVICE_NAME, {
+    serverReflectionInfo: function serverReflectionInfo(request, response) {
+      var index;
+      request.on('data', (msg) => {
+        index = index || indexOf(anApp);
+        response.write(reflect(anApp, index, msg));
+      });
+      request.on('end', () => response.end());
+    }
+  });
+};
+
+/**
+ * indexOf indexes the file descriptors of the services of an app.
+ *
+ * The index is a pool of descriptors as described in `dorusu/descriptor`,
+ * with the file that defines each symbol, and the files that define the
+ * extensions of each message type.
+ */
+function indexOf(anApp) {
+  var index = {
+    files: {},
+    dependencies: {},
+    definedIn: {},
+    extensions: {}
+  };
+  var addExtensions = function addExtensions(name, exts) {
+    _.forEach(exts, (ext) => {
+      var extendee = ext.extendee.replace(/^\./, '');
+      index.extensions[extendee] = index.extensions[extendee] || {};
+      index.extensions[extendee][ext.number] = name;
+    });
+  };
+  var addMessages = function addMessages(name, prefix, messages) {
+    _.forEach(messages, (m) => {
+      index.definedIn[prefix + m.name] = name;
+      addMessages(name, prefix + m.name + '.', m.nested_type);
+      _.forEach(m.enum_type, (e) => {
+        index.definedIn[prefix + m.name + '.' + e.name] = name;
+      });
+      addExtensions(name, m.extension);
+    });
+  };
+  _.forEach(anApp.services(), (svc) => {
+    _.forEach(svc.fileDescriptors, (buf) => {
+      var file = descriptor.FileDescriptorProto.decode(buf).toRaw(false, true);
+      if (index.files[file.name]) {
+        return;
+      }
+      index.files[file.name] = buf;
+      index.dependencies[file.name] = file.dependency;
+      var prefix = file['package'] ? file['package'] + '.' : '';
+      addMessages(file.name, prefix, file.message_type);
+      _.forEach(file.enum_type, (e) => {
+        index.definedIn[prefix + e.name] = file.name;
+      });
+      _.forEach(file.service, (s) => {
+        index.definedIn[prefix + s.name] = file.name;
+        _.forEach(s.method, (m) => {
+          index.definedIn[prefix + s.name + '.' + m.name] = file.name;
+        });
+      });
+      _.forEach(file.extension, (ext) => {
+        index.definedIn[prefix + ext.name] = file.name;
+      });
+      addExtensions(file.name, file.extension);
+    });
+  });
+  return index;
+}
+
+/**
+ * reflect obtains the response to a reflection request.
+ */
+function reflect(anApp, index, msg) {
+  var kind = msg.message_request;
+  var original = {host: msg.host};
+  original[kind] = msg[kind];
+  var response = {
+    'valid_host': msg.host,
+    'original_request': original
+  };
+  var notFound = function notFound(what) {
+    response.error_response = {
+      'error_code': dorusu.rpcCode('NOT_FOUND'),
+      'error_message': what + ' not found'
+    };
+    return response;
+  };
+  var withFile = function withFile(name, what) {
+    if (!name || !index.files[name]) {
+      return notFound(what);
+    }
+    response.file_descriptor_response = {
+      'file_descriptor_proto': descriptor.withDependencies(index, name)
+    };
+    return response;
+  };
+
+  switch(kind) {
+    case 'list_services':
+    response.list_services_response = {
+      'service': _.map(anApp.services(), (s) => ({'name': s.name}))
+    };
+    return response;
+
+    case 'file_by_filename':
+    return withFile(msg.file_by_filename, 'File ' + msg.file_by_filename);
+
+    case 'file_containing_symbol':
+    var symbol = msg.file_containing_symbol;
+    return withFile(index.definedIn[symbol], 'Symbol ' + symbol);
+
+    case 'file_containing_extension':
+    var ext = msg.file_containing_extension;
+    var byNumber = index.extensions[ext.containing_type] || {};
+    return withFile(byNumber[ext.extension_number],
+                    'Extension ' + ext.extension_number + ' of ' +
+                    ext.containing_type);
+
+    case 'all_extension_numbers_of_type':
+    var typeName = msg.all_extension_numbers_of_type;
+    if (!index.definedIn[typeName]) {
+      return notFound('Type ' + typeName);
+    }
+    response.all_extension_numbers_response = {
+      'base_type_name': typeName,
+      'extension_number': _.map(_.keys(index.extensions[typeName]), Number)
+    };
+    return response;
+
+    default:
+    response.error_response = {
+      'error_code': dorusu.rpcCode('INVALID_ARGUMENT'),
+      'error_message': 'Unsupported reflection request'
+    };
+    return response;
+  }
+}
@@ -40,16 +40,22 @@
  */
 
 var _ = require('lodash');
+var compression = require('./compression');
+var encodeStatusMessage = require('./codec').encodeStatusMessage;
+var h2endpoint = require('./endpoint');
 var tls = require('tls');
 var intervalToMicros = require('./codec').intervalToMicros;
 var isInterval = require('./codec').isInterval;
 var dorusu = require('./dorusu');
 var protocol = require('http2').protocol;
 var removeBinValues = require('./codec').removeBinValues;
+var richStatus = require('./status');
 
 var DecodingStream = require('./codec').DecodingStream;
 var EncodingStream = require('./codec').EncodingStream;
+var MessageIterator = require('./codec').MessageIterator;
 var Endpoint = protocol.Endpoint;
+var EventEmitter = require('events').EventEmitter;
 var IncomingRequest = require('http2').IncomingRequest;
 var OutgoingResponse = require('http2').OutgoingResponse;
 var PassThrough = require('stream').PassThrough;
@@ -66,12 +72,21 @@ exports.EncodedOutgoingResponse = EncodedOutgoingResponse;
  *
  * @param {Stream} stream a `http2.Stream`
  * @param {object} opts configures the response's encoder
+ * @param {string} [opts.compression] names the encoding used to compress the
+ *                                    response messages, it's only used if the
+ *                                    client accepts it
  * @constructor
  */
 function EncodedOutgoingResponse(stream, opts) {
   // The stream's write method is to be called with encoded objects.
-  opts = opts || {};
+  opts = _.clone(opts || {});
   opts.highWaterMark = opts.highWaterMark || 32 * 1024 * 1024;
+
+  // The compression is enabled once the client is known to accept it.
+  this._compression = opts.compression;
+  this._acceptEncoding = undefined;
+  delete opts.compression;
+
   /**
    * The rpc status message.
    *
@@ -88,20 +103,60 @@ function EncodedOutgoingResponse(stream, opts) {
    */
   this.rpcCode = null;
 
+  /**
+   * The details of a failed rpc status, sent as a `google.rpc.Status` in the
+   * grpc-status-details-bin trailer.
+   *
+   * @type {object[]|null}
+   * @name EncodedOutgoingResponse#rpcDetails
+   */
+  this.rpcDetails = null;
+
+  /**
+   * Indicates that the response was cancelled, e.g, when its deadline passed.
+   *
+   * Once it is cancelled, any further writes are dropped.
+   *
+   * @type {boolean}
+   * @name EncodedOutgoingResponse#cancelled
+   */
+  this.cancelled = false;
+  this._ended = false;
+
   this._encoder = new EncodingStream(opts);
   OutgoingResponse.call(this, stream);
 
+  // Writes go to the encoder, so this never finishes as a Writable.  Instead,
+  // #_finish emits 'finish' once the response has ended; stop the base class
+  // from handling that event as well.
+  this.removeListener('finish', this._finish);
+
   // The base class #end method does trailer handling and closes the stream. So:
   //
   // - _encoder should pipe to the stream without closing it on its end
   // - _encoder's finish event should invoke the base class #end to close
   //   the stream with appropriate header handling.
   this._encoder.pipe(this.stream, {end: false});
-  this._encoder.on('finish', this._finish.bind(this));
+  var onFinish = this._finish.bind(this);
+  this._encoder.on('finish', onFinish);
 
-  this._encoder.on('error', () => {
-    this.rpcCode = dorusu.rpcCode('INTERNAL');
-    this.finish();
+  // Writes go to the encoder, so it's the encoder that drains.
+  this._encoder.on('drain', () => this.emit('drain'));
+
+  // If a message can't be encoded, e.g, it's longer than the maximum send
+  // message length, drop any further messages and end the rpc immediately.
+  this._encoder.on('error', (err) => {
+    if (err instanceof dorusu.RpcError) {
+      this.rpcCode = err.code;
+      this.rpcMessage = err.message;
+    } else {
+      this.rpcCode = dorusu.rpcCode('INTERNAL');
+    }
+    this.cancelled = true;
+    this._encoder.removeListener('finish', onFinish);
+    this._encoder.unpipe(this.stream);
+    this._implicitHeaders();
+    this._finish();
   });
 
   this.sendDate = false;  /* reset this, set by OutgoingResponse.call(...) */
@@ -112,11 +167,61 @@ function EncodedOutgoingResponse(stream, opts) {
     set: (x) => { this._encoder.marshal = x; },
     get: () => this._encoder.marshal
   });
+
+  /**
+   * The encoding used to compress the response messages.
+   *
+   * It's only used if the client accepts it, and must be set before any
+   * message is written; setting it afterwards throws an `Error`.
+   *
+   * @name EncodedOutgoingResponse#compression
+   * @type {string}
+   */
+  Object.defineProperty(this, 'compression', {
+    set: (x) => {
+      compression.get(x);  // throws if it is not supported
+      if (this.headersSent) {
+        throw new Error('Can\'t change the compression after headers are sent');
+      }
+      this._compression = x;
+      this._enableCompression();
+    },
+    get: () => this._compression
+  });
 }
 EncodedOutgoingResponse.prototype = Object.create(OutgoingResponse.prototype, {
   constructor: { value: EncodedOutgoingResponse }
 });
 
+/**
+ * Extends the base class to enable compression if the client accepts the
+ * response's encoding.
+ *
+ * @param {object} headers the request headers
+ */
+EncodedOutgoingResponse.prototype._onRequestHeaders =
+  function _onRequestHeaders(headers) {
+    OutgoingResponse.prototype._onRequestHeaders.call(this, headers);
+    this._acceptEncoding = headers['grpc-accept-encoding'];
+    this._enableCompression();
+  };
+
+/**
+ * Configures the encoder and the `grpc-encoding` header to use the response's
+ * compression if the client accepts it.
+ */
+EncodedOutgoingResponse.prototype._enableCompression =
+  function _enableCompression() {
+    if (this._compression && this._compression !== compression.IDENTITY &&
+        compression.isAccepted(this._compression, this._acceptEncoding)) {
+      this.setHeader('grpc-encoding', this._compression);
+      this._encoder.compression = this._compression;
+    } else {
+      this.removeHeader('grpc-encoding');
+      this._encoder.compression = null;
+    }
+  };
+
 /**
  * Overrides the base class to expect objects to be encoded in each call, i.e,
  * the response is expected to be written to in writeableObjectMode with objects
@@ -124,6 +229,10 @@ EncodedOutgoingResponse.prototype = Object.create(OutgoingResponse.prototype, {
  * instance's encoder.
  */
 EncodedOutgoingResponse.prototype.write = function write() {
+  if (this.cancelled) {
+    this._log.debug('Dropped a write to a cancelled response');
+    return false;
+  }
   this._implicitHeaders();
   return this._encoder.write.apply(this._encoder, arguments);
 };
@@ -135,20 +244,88 @@ EncodedOutgoingResponse.prototype.write = function write() {
  * - any final message is correctly encoded as defined by the rpc protocol.
  */
 EncodedOutgoingResponse.prototype.end = function end() {
+  if (this.cancelled) {
+    this._log.debug('Dropped the end of a cancelled response');
+    return;
+  }
+  this._ended = true;
   this._implicitHeaders();
   return this._encoder.end.apply(this._encoder, arguments);
 };
 
+/**
+ * Ends the response, failing the rpc with the status described by err.
+ *
+ * The rpc fails with the code, message, details and metadata of err when it's
+ * a `dorusu.RpcError` or a status object, otherwise it fails with UNKNOWN.
+ *
+ * @param {Error|object} err describes the failure
+ */
+EncodedOutgoingResponse.prototype.endWithError = function endWithError(err) {
+  var code = err.code;
+  if (!_.isNumber(code)) {
+    code = dorusu.rpcCode('UNKNOWN');
+  }
+  if (!_.isEmpty(err.metadata)) {
+    this.addTrailers(_.assign({}, this._trailers, err.metadata));
+  }
+  this.rpcCode = code;
+  this.rpcMessage = err.message || '';
+  this.rpcDetails = err.details || null;
+  this.end();
+};
+
+/**
+ * Cancels the response, ending it with the given status on the next tick.
+ *
+ * It has no effect if the response has already ended.
+ *
+ * @param {number} code the rpc code of the status
+ * @param {string} message the status message
+ * @returns {boolean} true if the response was cancelled
+ */
+EncodedOutgoingResponse.prototype._cancel = function _cancel(code, message) {
+  if (this.cancelled || this._ended) {
+    return false;
+  }
+  this.cancelled = true;
+  this.rpcCode = code;
+  this.rpcMessage = message;
+  this._implicitHeaders();
+
+  // End on the next tick, allowing the cancellation to be signalled first.
+  process.nextTick(() => this._encoder.end());
+  return true;
+};
+
+/**
+ * Resets the response's stream with the given http2 error code.
+ *
+ * Any further writes to the response are dropped.
+ *
+ * @param {string} error the http2 error code, e.g, CANCEL
+ */
+EncodedOutgoingResponse.prototype._reset = function _reset(error) {
+  this.cancelled = true;
+  this._encoder.unpipe(this.stream);
+  this.stream.reset(error);
+};
+
 /**
  * Overrides the base class to ensure correctly implement the rpc protocol.
  *
  * Ensures
  * - ensures that the rpc protocol's required trailers are sent.
+ * - emits 'finish' once the response has ended.
  */
 EncodedOutgoingResponse.prototype._finish = function _finish() {
+  if (this.finished) {
+    return;
+  }
   if (this.stream) {
     this._updateTrailers();
     OutgoingResponse.prototype._finish.call(this);
+    this.emit('finish');
   } else {
     this.once('socket', this._finish.bind(this));
   }
@@ -170,13 +347,36 @@ EncodedOutgoingResponse.prototype._updateTrailers = function _updateTrailers() {
   }
   // Set the status message is this.rpcMessage is set.
   if (!trailers['grpc-message'] && this.rpcMessage) {
-    trailers['grpc-message'] = this.rpcMessage;
+    trailers['grpc-message'] = encodeStatusMessage(this.rpcMessage);
+  }
+
+  // Send the details of a failed status if there are any.
+  var code = Number(_.has(trailers, 'grpc-status') ?
+                    trailers['grpc-status'] : pre['grpc-status']);
+  //
+  // The details are dropped if they cannot be encoded, e.g, if one has an
+  // unknown type, as throwing here would not fail the rpc but the server.
+  if (!_.isEmpty(this.rpcDetails) && code !== dorusu.rpcCode('OK')) {
+    try {
+      var encoded = richStatus.encode({
+        'code': code,
+        'message': this.rpcMessage,
+        'details': this.rpcDetails
+      });
+      trailers[richStatus.DETAILS_HEADER] = encoded.toString('base64');
+    } catch (err) {
+      this._log.error({ error: err }, 'Dropped status details');
+    }
   }
 
   // loop through the original trailers
   //
   // - update key and value using removeBinValues in trailers
   _.forEach(pre, function updateATrailer(value, key) {
+    if (key === 'grpc-message') {
+      trailers[key] = encodeStatusMessage(value);
+      return;
+    }
     var noBins = removeBinValues(key, value);
     trailers[noBins[0]] = noBins[1];
   });
@@ -210,10 +410,16 @@ exports.DecodedIncomingRequest = DecodedIncomingRequest;
 /**
  * DecodedIncomingRequest extends `http2.IncomingRequest` for use in rpc servers.
  *
+ * It emits 'cancel' if the rpc is cancelled before its response finishes, i.e,
+ * if its stream closes first, e.g, as the client resets it, or if its
+ * connection is lost.  It emits 'deadline' before 'cancel' if the rpc is ended
+ * because its deadline passed.
+ *
  * @param {Stream} stream a `http2.Stream`
+ * @param {EncodedOutgoingResponse} [opt_response] the response to the request
  * @constructor
  */
-function DecodedIncomingRequest(stream) {
+function DecodedIncomingRequest(stream, opt_response) {
   this._decoder = new DecodingStream({highWaterMark: 32 * 1024 * 1024});
   IncomingRequest.call(this, stream);
 
@@ -230,15 +436,34 @@ function DecodedIncomingRequest(stream) {
   // Pipe the stream to the decoder.
   stream.pipe(this._decoder);
 
-  // Disallow writes to the stream after it is cancelled; emit a cancel event to
-  // allow additional cleanup.
+  // Disallow writes to the stream once it closes.  If the response has yet to
+  // finish, the rpc was cancelled; emit a cancel event to allow additional
+  // cleanup.
   stream.on('state', (state) => {
     if (state === 'CLOSED') {
       stream.unpipe();
-      this.emit('cancel');
+      if (!opt_response || !opt_response.finished) {
+        this._cancel();
+      }
     }
   });
 
+  /**
+   * Indicates that the request's 'cancel' event was emitted.
+   *
+   * @type {boolean}
+   * @name DecodedIncomingRequest#cancelled
+   */
+  this.cancelled = false;
+
+  /**
+   * The response to the request, when it was provided.
+   *
+   * @type {EncodedOutgoingResponse|undefined}
+   * @name DecodedIncomingRequest#response
+   */
+  this.response = opt_response;
+
   // Allow access to unreserved headers as metadata.
   this.metadata = {};
 
@@ -271,6 +496,19 @@ DecodedIncomingRequest.prototype.on = function on(event, listener) {
   }
 };
 
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  /**
+   * Allows the decoded messages to be consumed using `for await`.
+   *
+   * The iteration fails if a message cannot be decoded.
+   *
+   * @returns {MessageIterator} an async iterator over the received messages
+   */
+  DecodedIncomingRequest.prototype[Symbol.asyncIterator] = function() {
+    return new MessageIterator(this._decoder);
+  };
+}
+
 /**
  * Extends `IncomingRequest._onHeaders` to handle the rpc protocols' metadata
  * headers.
@@ -280,9 +518,15 @@ DecodedIncomingRequest.prototype.on = function on(event, listener) {
 DecodedIncomingRequest.prototype._onHeaders = function _onHeaders(headers) {
   var updateMetadata = this._updateMetadata.bind(this);
   var checkTimeout = this._checkTimeout.bind(this);
+
+  // Check the timeout first, so that the deadline is set when 'ready' is
+  // emitted by the base class.
+  checkTimeout(headers, true /* timeout is allowed */);
   IncomingRequest.prototype._onHeaders.call(this, headers);
   updateMetadata(headers);
-  checkTimeout(headers, true /* timeout is allowed */);
+  if (this.isEncodingSupported()) {
+    this._decoder.compression = headers['grpc-encoding'];
+  }
 
   this.stream.on('headers', function(headers) {
     updateMetadata(headers);
@@ -312,6 +556,27 @@ DecodedIncomingRequest.prototype._checkTimeout =
     this.deadline = Date.now() + Math.floor(timeoutMicros / 1000);
   };
 
+/**
+ * Emits the 'cancel' event, once.
+ */
+DecodedIncomingRequest.prototype._cancel = function _cancel() {
+  if (this.cancelled) {
+    return;
+  }
+  this.cancelled = true;
+  this.emit('cancel');
+};
+
+/**
+ * Determines if the messages in this request can be decoded.
+ *
+ * @returns {boolean} false if the request uses an unsupported grpc-encoding
+ */
+DecodedIncomingRequest.prototype.isEncodingSupported =
+  function isEncodingSupported() {
+    return compression.isSupported(this.headers['grpc-encoding']);
+  };
+
 // TODO: make the _addMetadata/_updateMetadata a mixin
 DecodedIncomingRequest.prototype._updateMetadata =
   function _updateMetadata(headers) {
@@ -347,6 +612,292 @@ DecodedIncomingRequest.prototype._addMetadata = function _addMetadata(k, v) {
   }
 };
 
+// CallContext class
+// -----------------
+
+exports.CallContext = CallContext;
+
+/**
+ * CallContext describes an rpc being handled by a server.
+ *
+ * The `RpcServer` adds one to each request as `request.context`.  It emits
+ * 'cancel' when the request is cancelled, so it may be used as the `parent` of
+ * client rpcs made while handling the request.
+ *
+ * @param {DecodedIncomingRequest} request the rpc's request
+ * @param {object} [opts] describes the rpc
+ * @param {app.Method} [opts.method] the method descriptor of the rpc
+ * @param {net.Socket} [opts.socket] the connection to the peer
+ * @constructor
+ * @extends EventEmitter
+ */
+function CallContext(request, opts) {
+  // allow use without new
+  if (!(this instanceof CallContext)) {
+    return new CallContext(request, opts);
+  }
+  EventEmitter.call(this);
+  opts = opts || {};
+  var socket = opts.socket;
+
+  /**
+   * The method descriptor of the rpc, if it's known.
+   *
+   * @type {app.Method|undefined}
+   * @name CallContext#method
+   */
+  this.method = opts.method;
+
+  /**
+   * The path of the rpc.
+   *
+   * @type {string}
+   * @name CallContext#path
+   */
+  this.path = request.url;
+
+  /**
+   * The address of the peer, as address:port.
+   *
+   * @type {string|undefined}
+   * @name CallContext#peer
+   */
+  this.peer = socket && (socket.remoteAddress + ':' + socket.remotePort);
+
+  /**
+   * The metadata received with the request.
+   *
+   * @type {object}
+   * @name CallContext#metadata
+   */
+  this.metadata = request.metadata;
+
+  /**
+   * The deadline of the rpc, if it has one.
+   *
+   * @type {Date|undefined}
+   * @name CallContext#deadline
+   */
+  this.deadline = request.deadline ? new Date(request.deadline) : undefined;
+
+  this._controller = newAbortController();
+
+  /**
+   * Signals that the rpc is cancelled.
+   *
+   * It's an `AbortSignal`, except on runtimes without one, where it's a
+   * `CancelSignal` with the same interface.
+   *
+   * @type {AbortSignal|CancelSignal}
+   * @name CallContext#signal
+   */
+  this.signal = this._controller.signal;
+
+  /**
+   * The certificate of the peer, on secure connections that have one.
+   *
+   * @type {object|undefined}
+   * @name CallContext#peerCertificate
+   */
+  Object.defineProperty(this, 'peerCertificate', {
+    get: () => {
+      if (!socket || !_.isFunction(socket.getPeerCertificate)) {
+        return undefined;
+      }
+      var cert = socket.getPeerCertificate();
+      return _.isEmpty(cert) ? undefined : cert;
+    }
+  });
+
+  /**
+   * Indicates that the rpc was cancelled.
+   *
+   * @type {boolean}
+   * @name CallContext#cancelled
+   */
+  Object.defineProperty(this, 'cancelled', {
+    get: () => this.signal.aborted
+  });
+
+  this._values = new Map();
+  request.once('cancel', this._cancel.bind(this));
+  if (request.cancelled) {
+    this._cancel();
+  }
+}
+CallContext.prototype = Object.create(EventEmitter.prototype, {
+  constructor: { value: CallContext }
+});
+
+/**
+ * timeRemaining is the time left before the deadline.
+ *
+ * @returns {number} the milliseconds before the deadline, or Infinity if there
+ *                   is no deadline
+ */
+CallContext.prototype.timeRemaining = function timeRemaining() {
+  if (!this.deadline) {
+    return Infinity;
+  }
+  return Math.max(0, this.deadline.getTime() - Date.now());
+};
+
+/**
+ * get obtains a value from the context's store.
+ *
+ * @param {*} key the key of the value
+ * @returns {*} the value stored for key
+ */
+CallContext.prototype.get = function get(key) {
+  return this._values.get(key);
+};
+
+/**
+ * set adds a value to the context's store, e.g, so that middleware can provide
+ * values to the handlers that run after it.
+ *
+ * @param {*} key the key of the value
+ * @param {*} value the value to store
+ * @returns {CallContext} this context
+ */
+CallContext.prototype.set = function set(key, value) {
+  this._values.set(key, value);
+  return this;
+};
+
+/**
+ * has determines if the context's store holds a value for key.
+ *
+ * @param {*} key the key of the value
+ * @returns {boolean} true if a value is stored for key
+ */
+CallContext.prototype.has = function has(key) {
+  return this._values.has(key);
+};
+
+CallContext.prototype._cancel = function _cancel() {
+  if (this.signal.aborted) {
+    return;
+  }
+  this._controller.abort(
+    new dorusu.RpcError(dorusu.rpcCode('CANCELLED'), 'Rpc was cancelled'));
+  this.emit('cancel');
+};
+
+/**
+ * newAbortController creates an `AbortController`, or a `CancelController` on
+ * runtimes that don't have one.
+ *
+ * @returns {AbortController|CancelController} the new controller
+ */
+function newAbortController() {
+  if (_.isFunction(global.AbortController)) {
+    return new global.AbortController();
+  }
+  return new CancelController();
+}
+
+/**
+ * CancelController stands in for `AbortController` on runtimes without one.
+ *
+ * @constructor
+ */
+function CancelController() {
+  this.signal = new CancelSignal();
+}
+
+/**
+ * Aborts the controller's signal.
+ *
+ * @param {*} opt_reason why the signal is aborted
+ */
+CancelController.prototype.abort = function abort(opt_reason) {
+  this.signal._abort(opt_reason);
+};
+
+/**
+ * CancelSignal stands in for `AbortSignal` on runtimes without one.
+ *
+ * @constructor
+ */
+function CancelSignal() {
+  this.aborted = false;
+  this.reason = undefined;
+  this.onabort = null;
+  this._listeners = [];
+}
+
+/**
+ * Adds a listener for the 'abort' event.
+ *
+ * @param {string} type the event type
+ * @param {function} listener called with the event
+ * @param {object|boolean} opt_options supports `once`, like `AbortSignal`
+ */
+CancelSignal.prototype.addEventListener =
+  function addEventListener(type, listener, opt_options) {
+    if (type !== 'abort' || _.find(this._listeners, {listener: listener})) {
+      return;
+    }
+    this._listeners.push({
+      listener: listener,
+      once: !!(opt_options && opt_options.once)
+    });
+  };
+
+/**
+ * Removes a listener for the 'abort' event.
+ *
+ * @param {string} type the event type
+ * @param {function} listener the listener to remove
+ */
+CancelSignal.prototype.removeEventListener =
+  function removeEventListener(type, listener) {
+    if (type === 'abort') {
+      _.remove(this._listeners, {listener: listener});
+    }
+  };
+
+/**
+ * Dispatches an event to the signal's listeners.
+ *
+ * @param {object} event the event, with its `type`
+ * @returns {boolean} true, as the event cannot be cancelled
+ */
+CancelSignal.prototype.dispatchEvent = function dispatchEvent(event) {
+  if (event.type !== 'abort') {
+    return true;
+  }
+  if (_.isFunction(this.onabort)) {
+    this.onabort.call(this, event);
+  }
+  _.forEach(this._listeners.slice(), (l) => {
+    if (l.once) {
+      this.removeEventListener('abort', l.listener);
+    }
+    l.listener.call(this, event);
+  });
+  return true;
+};
+
+/**
+ * Throws the signal's reason if it is aborted.
+ */
+CancelSignal.prototype.throwIfAborted = function throwIfAborted() {
+  if (this.aborted) {
+    throw this.reason;
+  }
+};
+
+CancelSignal.prototype._abort = function _abort(opt_reason) {
+  if (this.aborted) {
+    return;
+  }
+  this.aborted = true;
+  this.reason = _.isUndefined(opt_reason) ? new Error('Aborted') : opt_reason;
+  this.dispatchEvent({type: 'abort', target: this});
+};
+
 // RpcServer class
 // ---------------
 
@@ -358,16 +909,80 @@ exports.RpcServer = RpcServer;
  * @param {object} options configures the rpc server
  * @param {app.RpcApp} options.app when specified, the server is configured with
  *                                  the handlers added by calling app.dispatch()
+ * @param {string} [options.compression] names the encoding used to compress
+ *                                       responses to clients that accept it
+ * @param {number} [options.maxReceiveMessageLength] the maximum length of a
+ *                                                   request message; longer
+ *                                                   ones fail the rpc with
+ *                                                   RESOURCE_EXHAUSTED
+ * @param {number} [options.maxSendMessageLength] the maximum length of a
+ *                                                response message; longer
+ *                                                ones fail the rpc with
+ *                                                RESOURCE_EXHAUSTED
  * @constructor
  */
 function RpcServer(options) {
   Server.call(this, options);
   this.app = options.app;
+  this.compression = options.compression;
+  compression.get(this.compression);  // throws if it is not supported
+  this.maxReceiveMessageLength = options.maxReceiveMessageLength;
+  this.maxSendMessageLength = options.maxSendMessageLength;
+
+  // The connections started by _start, each holding its endpoint and the
+  // requests and responses of its in-flight rpcs.
+  this._connections = [];
+  this._shuttingDown = false;
 }
 RpcServer.prototype = Object.create(Server.prototype, {
   constructor: { value: RpcServer }
 });
 
+/**
+ * Sends GOAWAY on a connection without closing it, so that clients stop
+ * starting rpcs on it while the in-flight rpcs finish.
+ *
+ * @param {object} conn a connection tracked by `RpcServer#_start`
+ */
+var goAway = function goAway(conn) {
+  if (!conn.closed) {
+    h2endpoint.goAway(conn.endpoint, conn.lastStream);
+  }
+};
+
+/**
+ * Closes a connection if it has no in-flight rpcs.
+ *
+ * @param {object} conn a connection tracked by `RpcServer#_start`
+ * @returns {boolean} true if the connection is closed
+ */
+var closeIfIdle = function closeIfIdle(conn) {
+  if (conn.closed) {
+    return true;
+  }
+  if (conn.rpcs.length > 0) {
+    return false;
+  }
+  conn.closed = true;
+  h2endpoint.close(conn.endpoint, conn.socket);
+  return true;
+};
+
+/**
+ * Stops tracking the rpc on a stream of a connection once it's done, closing
+ * the connection if the server is shutting down and it has no more rpcs.
+ *
+ * @param {RpcServer} server the server that owns the connection
+ * @param {object} conn a connection tracked by `RpcServer#_start`
+ * @param {number} streamId the id of the rpc's stream
+ */
+var rpcDone = function rpcDone(server, conn, streamId) {
+  var done = _.remove(conn.rpcs, (rpc) => rpc.response.stream.id === streamId);
+  if (done.length > 0 && server._shuttingDown) {
+    closeIfIdle(conn);
+  }
+};
+
 /**
  * Extends `http2.Server._start` to handle rpc connections
  *
@@ -375,7 +990,38 @@ RpcServer.prototype = Object.create(Server.prototype, {
  * classes when constructing the request and response when handling new streams.
  */
 RpcServer.prototype._start = function _start(socket) {
-  var endpoint = new Endpoint(this._log, 'SERVER', this._settings);
+  var conn = {
+    endpoint: undefined,
+    socket: socket,
+    rpcs: [],        // the request and response of each in-flight rpc
+    lastStream: 0,   // the id of the last stream that started an rpc
+    closed: false
+  };
+  var endsStream = function endsStream(frame) {
+    return frame.type === 'RST_STREAM' ||
+        !!(frame.flags && frame.flags.END_STREAM);
+  };
+
+  // Filter the frames leaving and entering the connection.  An rpc is done
+  // once its final frame has left the connection, and so can no longer be lost
+  // by closing it, or when the client resets its stream.
+  var endpoint = new Endpoint(this._log, 'SERVER', this._settings, {
+    beforeCompression: (frame, forward, done) => {
+      forward(frame);
+      if (endsStream(frame)) {
+        rpcDone(this, conn, frame.stream);
+      }
+      done();
+    },
+    afterDecompression: (frame, forward, done) => {
+      forward(frame);
+      if (frame.type === 'RST_STREAM') {
+        rpcDone(this, conn, frame.stream);
+      }
+      done();
+    }
+  });
+  conn.endpoint = endpoint;
 
   this._log.info({ e: endpoint,
                    client: socket.remoteAddress + ':' + socket.remotePort,
@@ -384,15 +1030,56 @@ RpcServer.prototype._start = function _start(socket) {
 
   endpoint.pipe(socket).pipe(endpoint);
 
+  this._connections.push(conn);
+  socket.on('close', () => {
+    _.pull(this._connections, conn);
+
+    // The in-flight rpcs are lost with the connection.
+    _.forEach(conn.rpcs, (rpc) => rpc.request._cancel());
+  });
+
   var that = this;
   endpoint.on('stream', function _onStream(stream) {
-    var response = new EncodedOutgoingResponse(stream);
-    var request = new DecodedIncomingRequest(stream);
-
-    if (that.app) {
-      request.once('ready', that._useApp.bind(that, request, response));
+    // Refuse the streams that arrive after shutdown begins.
+    if (that._shuttingDown) {
+      stream.reset('REFUSED_STREAM');
+      return;
     }
-    request.once('ready', that.emit.bind(that, 'request', request, response));
+    conn.lastStream = Math.max(conn.lastStream, stream.id);
+    var response = new EncodedOutgoingResponse(stream, {
+      compression: that.compression,
+      maxSendMessageLength: that.maxSendMessageLength
+    });
+    var request = new DecodedIncomingRequest(stream, response);
+    request._decoder.maxMessageLength = that.maxReceiveMessageLength;
+
+    // Track the rpc until it's done, allowing shutdown to drain it.
+    conn.rpcs.push({request: request, response: response});
+
+    // Fail the rpc if any request message cannot be decoded.
+    request._decoder.on('error', function(err) {
+      that._log.error({ error: err }, 'Failed to decode a request message');
+      response.rpcCode = err instanceof dorusu.RpcError ?
+          err.code : dorusu.rpcCode('INTERNAL');
+      response.rpcMessage = err.message;
+      response.end();
+    });
+
+    request.once('ready', function _onReady() {
+      request.context = new CallContext(request, {
+        method: that.app && that.app.method(request.url),
+        socket: socket
+      });
+      if (!request.isEncodingSupported()) {
+        that._rejectEncoding(request, response);
+        return;
+      }
+      that._enforceDeadline(request, response);
+      if (that.app) {
+        that._useApp(request, response);
+      }
+      that.emit('request', request, response);
+    });
   });
 
   endpoint.on('error', this.emit.bind(this, 'clientError'));
@@ -401,12 +1088,147 @@ RpcServer.prototype._start = function _start(socket) {
   this.emit('connection', socket, endpoint);
 };
 
+/**
+ * Shuts down the server gracefully.
+ *
+ * The server stops listening, and sends GOAWAY on each connection so that
+ * clients stop starting rpcs; any further rpcs are refused.  Each connection is
+ * closed once its in-flight rpcs finish.
+ *
+ * If the in-flight rpcs do not finish before `opts.drainTimeout`, the server
+ * is shut down using `forceShutdown`.
+ *
+ * @param {object} [opts] configures the shutdown
+ * @param {number} [opts.drainTimeout] the time in millis to wait for the
+ *                                     in-flight rpcs to finish
+ * @param {function(Error)} [callback] is called once the server is closed;
+ *                                     with an Error if the drain timed out
+ */
+RpcServer.prototype.tryShutdown = function tryShutdown(opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  callback = callback || _.noop;
+  var timer, timedOut;
+  this._log.info({ drainTimeout: opts.drainTimeout }, 'Shutting down');
+  this._shutdown(() => {
+    clearTimeout(timer);
+    callback(timedOut ? new Error('In-flight rpcs did not finish in time') :
+             undefined);
+  });
+  _.forEach(this._connections, (conn) => {
+    if (!closeIfIdle(conn)) {
+      goAway(conn);
+    }
+  });
+  if (opts.drainTimeout !== undefined) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      this.forceShutdown();
+    }, opts.drainTimeout);
+  }
+};
+
+/**
+ * Shuts down the server immediately.
+ *
+ * The server stops listening, and the streams of any in-flight rpcs are reset
+ * with CANCEL before their connections are closed.
+ *
+ * @param {function} [callback] is called once the server is closed
+ */
+RpcServer.prototype.forceShutdown = function forceShutdown(callback) {
+  this._log.info('Forcing shutdown');
+  this._shutdown(callback || _.noop);
+  _.forEach(this._connections, (conn) => {
+    _.forEach(_.clone(conn.rpcs), (rpc) => {
+      rpc.response._reset('CANCEL');
+    });
+    closeIfIdle(conn);
+  });
+};
+
+/**
+ * Stops the server from listening and starting rpcs.
+ *
+ * @param {function} callback is called once the server is closed
+ */
+RpcServer.prototype._shutdown = function _shutdown(callback) {
+  if (!this._shuttingDown) {
+    this._shuttingDown = true;
+    this.close();
+  }
+  if (this._connections.length === 0) {
+    setImmediate(callback);
+    return;
+  }
+  this._server.once('close', () => callback());
+};
+
+/**
+ * Responds with rpc code UNIMPLEMENTED to requests whose messages cannot be
+ * decoded, indicating the encodings that are supported.
+ */
+RpcServer.prototype._rejectEncoding =
+  function _rejectEncoding(request, response) {
+    var encoding = request.headers['grpc-encoding'];
+    this._log.error({ key: 'grpc-encoding', value: encoding },
+                    'Unsupported grpc-encoding value');
+    request.unmarshal = response.marshal = _.noop;
+    response.setHeader('grpc-accept-encoding', compression.acceptEncoding());
+    response.rpcCode = dorusu.rpcCode('UNIMPLEMENTED');
+    response.rpcMessage = 'Unsupported compression: ' + encoding;
+    response.end();
+  };
+
+/**
+ * Ends the response with DEADLINE_EXCEEDED if the request's deadline passes
+ * before it completes, emitting 'deadline' and 'cancel' on the request.
+ */
+RpcServer.prototype._enforceDeadline =
+  function _enforceDeadline(request, response) {
+    if (!request.deadline) {
+      return;
+    }
+    var expire = () => {
+      var code = dorusu.rpcCode('DEADLINE_EXCEEDED');
+      if (!response._cancel(code, 'Deadline exceeded')) {
+        return;
+      }
+      this._log.info({ deadline: request.deadline }, 'rpc deadline exceeded');
+      request.emit('deadline');
+      request._cancel();
+    };
+    var timer = setTimeout(expire, Math.max(0, request.deadline - Date.now()));
+    request.stream.on('state', (state) => {
+      if (state === 'CLOSED') {
+        clearTimeout(timer);
+      }
+    });
+  };
+
 RpcServer.prototype._useApp = function _useApp(request, response) {
   if (!this.app || !this.app.hasRoute(request.url)) {
     return;
   }
   request.unmarshal = this.app.unmarshaller(request.url);
   response.marshal = this.app.marshaller(request.url);
+
+  // Fail the rpc if a method that does not stream requests gets more than one.
+  var method = this.app.method(request.url);
+  if (method && !method.requestStream) {
+    request._decoder.maxMessages = 1;
+  }
+
+  // Use the method's message length limits in preference to the server's.
+  if (method && method.maxReceiveMessageLength !== undefined) {
+    request._decoder.maxMessageLength = method.maxReceiveMessageLength;
+  }
+  if (method && method.maxSendMessageLength !== undefined) {
+    response._encoder.maxMessageLength = method.maxSendMessageLength;
+  }
 };
 
 function createServerRaw(options, requestListener) {
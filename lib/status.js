@@ -0,0 +1,202 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+/**
+ * dorusu/status provides the rich status of failed rpcs.
+ *
+ * A rich status is a `google.rpc.Status` sent in the `grpc-status-details-bin`
+ * trailer.  Its details are `google.protobuf.Any` messages, e.g, a
+ * `google.rpc.BadRequest` that describes the invalid fields of a request.
+ *
+ * Here, a detail is represented as an object with the full name of its type
+ * in `@type` and the fields of the message, e.g,
+ *
+ * {
+ *   '@type': 'google.rpc.BadRequest',
+ *   field_violations: [{field: 'name', description: 'name is required'}]
+ * }
+ *
+ * @module dorusu/status
+ */
+
+var _ = require('lodash');
+var path = require('path');
+
+var ProtoBuf = require('protobufjs');
+
+/**
+ * The name of the trailer that holds the rich status.
+ *
+ * @constant
+ * @type {string}
+ */
+exports.DETAILS_HEADER = 'grpc-status-details-bin';
+
+/**
+ * The prefix of the type urls of packed details.
+ *
+ * @constant
+ * @type {string}
+ */
+exports.TYPE_URL_PREFIX = 'type.googleapis.com/';
+
+var protosDir = path.join(__dirname, 'protos');
+var builder = ProtoBuf.loadProtoFile({
+  root: protosDir,
+  file: 'google/rpc/status.proto'
+});
+ProtoBuf.loadProtoFile({
+  root: protosDir,
+  file: 'google/rpc/error_details.proto'
+}, builder);
+var Status = builder.build('google.rpc.Status');
+
+// detailTypes maps the full names of the supported detail types to their
+// message classes.
+var detailTypes = {};
+_.forEach([
+  'BadRequest',
+  'DebugInfo',
+  'ErrorInfo',
+  'Help',
+  'LocalizedMessage',
+  'PreconditionFailure',
+  'QuotaFailure',
+  'RequestInfo',
+  'ResourceInfo',
+  'RetryInfo'
+], (name) => {
+  detailTypes['google.rpc.' + name] = builder.build('google.rpc.' + name);
+});
+
+/**
+ * Adds a detail type, allowing details of that type to be packed and
+ * unpacked.
+ *
+ * @param {string} typeName the full name of the type
+ * @param {function} Message the protobufjs message class of the type
+ */
+exports.register = function register(typeName, Message) {
+  if (!_.isString(typeName) || typeName.length === 0) {
+    throw new RangeError('the type name must be a non-empty string');
+  }
+  if (!_.isFunction(Message) || !_.isFunction(Message.decode)) {
+    throw new TypeError('the type must be a protobuf message class');
+  }
+  detailTypes[typeName] = Message;
+};
+
+/**
+ * Packs a detail into a `google.protobuf.Any`.
+ *
+ * Details that are already packed, i.e, that have a `type_url` and a `value`,
+ * are returned unchanged.
+ *
+ * @param {object} detail the detail to pack
+ * @returns {object} the packed detail, with its `type_url` and `value`
+ */
+exports.pack = function pack(detail) {
+  if (_.has(detail, 'type_url') && _.has(detail, 'value')) {
+    return detail;
+  }
+  var typeName = detail['@type'];
+  var Message = detailTypes[typeName];
+  if (!Message) {
+    throw new RangeError('Unknown detail type: ' + typeName);
+  }
+  return {
+    'type_url': exports.TYPE_URL_PREFIX + typeName,
+    'value': new Buffer(new Message(_.omit(detail, '@type')).encode().toBuffer())
+  };
+};
+var pack = exports.pack;
+
+/**
+ * Unpacks a detail from a `google.protobuf.Any`.
+ *
+ * Details of unknown types have their name in `@type` and the still encoded
+ * message in `value`.
+ *
+ * @param {object} any the packed detail
+ * @returns {object} the detail
+ */
+exports.unpack = function unpack(any) {
+  var typeName = any.type_url.slice(any.type_url.lastIndexOf('/') + 1);
+  var Message = detailTypes[typeName];
+  if (!Message) {
+    return {'@type': typeName, 'value': any.value};
+  }
+  var fields = Message.decode(any.value).toRaw(false, true);
+  return _.assign({'@type': typeName}, fields);
+};
+var unpack = exports.unpack;
+
+/**
+ * Encodes a status as a `google.rpc.Status`.
+ *
+ * @param {object} status the status
+ * @param {number} status.code the rpc code
+ * @param {string} [status.message] the status message
+ * @param {object[]} [status.details] the details of the status
+ * @returns {external:Buffer} the encoded status
+ */
+exports.encode = function encode(status) {
+  var msg = new Status({
+    'code': status.code,
+    'message': status.message || '',
+    'details': _.map(status.details, pack)
+  });
+  return new Buffer(msg.encode().toBuffer());
+};
+
+/**
+ * Decodes a `google.rpc.Status`.
+ *
+ * @param {external:Buffer} encoded the encoded status
+ * @returns {object} the status with its code, message and details
+ */
+exports.decode = function decode(encoded) {
+  var raw = Status.decode(encoded).toRaw(false, true);
+  return {
+    'code': raw.code,
+    'message': raw.message,
+    'details': _.map(raw.details, unpack)
+  };
+};
+
+/**
+ * The nodejs `Buffer` class .
+ * @external Buffer
+ * @see https://nodejs.org/api/buffer.html
+ */
@@ -35,10 +35,13 @@
 var _ = require('lodash');
 var app = require('../lib/app');
 var chai = require('chai');
+var dorusu = require('../lib/dorusu');
 chai.use(require('dirty-chai'));
 var expect = chai.expect;
 var irreverser = require('./util').irreverser;
 var reverser = require('./util').reverser;
+var EventEmitter = require('events').EventEmitter;
+var Readable = require('stream').Readable;
 
 var testSvc = app.Service('test', [
   app.Method('do_reverse', reverser, irreverser)
@@ -46,6 +49,81 @@ var testSvc = app.Service('test', [
 var basicSvc = app.Service('basic', [
   app.Method('noop')
 ]);
+// asyncIterable makes iterator an async iterable of itself; tests that use it
+// only run on runtimes that have Symbol.asyncIterator.
+var hasAsyncIterator = typeof Symbol === 'function' && !!Symbol.asyncIterator;
+var itIterates = hasAsyncIterator ? it : it.skip;
+var asyncIterable = function asyncIterable(iterator) {
+  iterator[Symbol.asyncIterator] = _.constant(iterator);
+  return iterator;
+};
+var streamSvc = app.Service('stream', [
+  app.Method('out', null, null, false, true)
+]);
+
+describe('Method', function() {
+  it('should derive its kind from whether it streams', function() {
+    expect(app.Method('a').kind).to.equal(app.UNARY);
+    expect(app.Method('a', null, null, true).kind).to.equal(
+      app.CLIENT_STREAMING);
+    expect(app.Method('a', null, null, false, true).kind).to.equal(
+      app.SERVER_STREAMING);
+    expect(app.Method('a', null, null, true, true).kind).to.equal(app.BIDI);
+  });
+  it('should keep clientStreams as an alias of requestStream', function() {
+    expect(app.Method('a', null, null, true).clientStreams).to.be.true();
+  });
+  it('should hold the message length limits', function() {
+    var m = app.Method('a', null, null, false, false, {
+      maxReceiveMessageLength: 8,
+      maxSendMessageLength: 16
+    });
+    expect(m.maxReceiveMessageLength).to.equal(8);
+    expect(m.maxSendMessageLength).to.equal(16);
+    expect(app.Method('a').maxReceiveMessageLength).to.be.undefined();
+  });
+});
+
+describe('buildClient', function() {
+  var Client = app.buildClient(app.Service('kinds', [
+    app.Method('unary'),
+    app.Method('server_stream', null, null, false, true)
+  ]));
+  var aClient = new Client({host: 'localhost', port: 1});
+  it('should fail if a unary method is given a stream', function() {
+    var src = new Readable();
+    expect(function() {
+      aClient.unary(src, _.noop);
+    }).to.throw(TypeError);
+  });
+  it('should fail if a streaming method is called without a callback',
+     function() {
+       expect(function() {
+         aClient.serverStream({});
+       }).to.throw(TypeError);
+     });
+  it('should add the method\'s message length limits to the rpc options',
+     function() {
+       var Limited = app.buildClient(app.Service('limited', [
+         app.Method('unary', null, null, false, false, {
+           maxReceiveMessageLength: 8,
+           maxSendMessageLength: 16
+         })
+       ]));
+       var limited = new Limited({host: 'localhost', port: 1});
+       var got;
+       limited.stub.rpcFunc = function() {
+         return function(route, src, callback, opts) {
+           got = opts;
+         };
+       };
+       limited.unary({}, _.noop, {maxSendMessageLength: 32});
+       expect(got).to.eql({
+         maxReceiveMessageLength: 8,
+         maxSendMessageLength: 32
+       });
+     });
+});
 
 describe('RpcApp', function() {
   var theApp;
@@ -95,6 +173,17 @@ describe('RpcApp', function() {
       expect(theApp.marshaller('/basic/noop')).to.be.undefined();
     });
   });
+  describe('method `method(route)`', function() {
+    beforeEach(function(){
+      theApp.addService(testSvc);
+    });
+    it('should be undefined for unknown routes', function() {
+      expect(theApp.method('this-does-no-exist')).to.be.undefined();
+    });
+    it('should be the method descriptor for known routes', function() {
+      expect(theApp.method('/test/do_reverse')).to.equal(testSvc.methods[0]);
+    });
+  });
   describe('method `missingRoutes`', function() {
     beforeEach(function(){
       theApp.addService(testSvc);
@@ -146,6 +235,237 @@ describe('RpcApp', function() {
       }).to.throw(Error);
     });
   });
+  describe('method `register` with the async option', function() {
+    beforeEach(function(){
+      theApp.addService(testSvc);
+      theApp.addService(basicSvc);
+    });
+    it('should call the handler with the message and context', function(done) {
+      var request = new EventEmitter();
+      request.context = {};
+      theApp.register('/basic/noop', function(msg, ctx) {
+        expect(ctx).to.equal(request.context);
+        return Promise.resolve(msg + ' reply');
+      }, {async: true});
+      var response = {
+        end: function(reply) {
+          expect(reply).to.equal('hello reply');
+          done();
+        }
+      };
+      request.url = '/basic/noop';
+      theApp.dispatcher()(request, response);
+      request.emit('data', 'hello');
+    });
+    itIterates('should wait for the response to drain', function(done) {
+      theApp.addService(streamSvc);
+      var yielded = [];
+      theApp.register('/stream/out', function() {
+        return asyncIterable({
+          next: function() {
+            var n = yielded.length;
+            yielded.push(n);
+            return Promise.resolve({value: n, done: n === 2});
+          }
+        });
+      }, {async: true});
+      var request = new EventEmitter();
+      var response = new EventEmitter();
+      response.write = function() {
+        setImmediate(function() {
+          expect(yielded).to.eql([0]);
+          response.write = _.constant(true);
+          response.emit('drain');
+        });
+        return false;
+      };
+      response.end = function() {
+        expect(yielded).to.eql([0, 1, 2]);
+        done();
+      };
+      request.url = '/stream/out';
+      theApp.dispatcher()(request, response);
+      request.emit('data', 'hello');
+    });
+    itIterates('should stop iterating if the request is cancelled', function(done) {
+      theApp.addService(streamSvc);
+      var request = new EventEmitter();
+      var response = new EventEmitter();
+      theApp.register('/stream/out', function() {
+        return asyncIterable({
+          next: function() {
+            request.cancelled = true;
+            request.emit('cancel');
+            return Promise.resolve({value: 'a', done: false});
+          },
+          return: function() {
+            setImmediate(function() {
+              expect(request.listeners('cancel')).to.be.empty();
+              done();
+            });
+            return Promise.resolve({done: true});
+          }
+        });
+      }, {async: true});
+      response.write = function() {
+        done(new Error('should not have written a message'));
+      };
+      request.url = '/stream/out';
+      theApp.dispatcher()(request, response);
+      request.emit('data', 'hello');
+    });
+    it('should fail a unary rpc if no response message is returned',
+       function(done) {
+         var request = new EventEmitter();
+         theApp.register('/basic/noop', function() {
+           return Promise.resolve();
+         }, {async: true});
+         var response = {
+           end: function() {
+             done(new Error('should not have ended without an error'));
+           },
+           endWithError: function(err) {
+             expect(err.code).to.equal(dorusu.rpcCode('INTERNAL'));
+             done();
+           }
+         };
+         request.url = '/basic/noop';
+         theApp.dispatcher()(request, response);
+         request.emit('data', 'hello');
+       });
+    it('should fail if an unspecified route is registered', function() {
+      expect(function() {
+        theApp.register('this-does-not-required', _.noop, {async: true});
+      }).to.throw(Error);
+    });
+    it('should fail if the handler is not a function', function() {
+      expect(function() {
+        theApp.register('/basic/noop', 'not a function', {async: true});
+      }).to.throw(TypeError);
+    });
+  });
+  describe('method `registerService`', function() {
+    beforeEach(function(){
+      theApp.addService(testSvc);
+      theApp.addService(basicSvc);
+    });
+    it('should register handlers by method or camelCase name', function() {
+      var got = theApp.registerService('test', {doReverse: _.noop});
+      expect(got).to.equal(theApp);
+      expect(theApp.hasRoute('/test/do_reverse')).to.be.true();
+      theApp.registerService('basic', {'noop': _.noop});
+      expect(theApp.isComplete()).to.be.true();
+    });
+    it('should call the handlers with the implementation as this', function() {
+      var self;
+      var impl = {
+        doReverse: function() {
+          self = this;
+        }
+      };
+      theApp.registerService('test', impl);
+      theApp.dispatcher()({url: '/test/do_reverse'}, {});
+      expect(self).to.equal(impl);
+    });
+    it('should register async handlers if asked', function(done) {
+      var request = new EventEmitter();
+      request.context = {};
+      var impl = {
+        noop: function(msg, ctx) {
+          expect(this).to.equal(impl);
+          expect(ctx).to.equal(request.context);
+          return Promise.resolve(msg);
+        }
+      };
+      theApp.registerService('basic', impl, {async: true});
+      var response = {
+        end: function(reply) {
+          expect(reply).to.equal('hello');
+          done();
+        }
+      };
+      request.url = '/basic/noop';
+      theApp.dispatcher()(request, response);
+      request.emit('data', 'hello');
+    });
+    it('should register the methods of class instances', function() {
+      class TestImpl {
+        doReverse() {
+          return this;
+        }
+      }
+      class BaseImpl {
+        noop() {}
+      }
+      class BasicImpl extends BaseImpl {}
+      var impl = new TestImpl();
+      theApp.registerService('test', impl);
+      theApp.registerService('basic', new BasicImpl());
+      expect(theApp.isComplete()).to.be.true();
+      expect(theApp._handlers['/test/do_reverse']()).to.equal(impl);
+    });
+    it('should leave missing methods unregistered by default', function() {
+      theApp.registerService('test', {});
+      expect(theApp.hasRoute('/test/do_reverse')).to.be.false();
+    });
+    it('should fill missing methods with UNIMPLEMENTED if asked', function() {
+      theApp.registerService('test', {}, {fillUnimplemented: true});
+      expect(theApp.hasRoute('/test/do_reverse')).to.be.true();
+      var response = {end: _.noop};
+      theApp.dispatcher()({url: '/test/do_reverse'}, response);
+      expect(response.rpcCode).to.equal(dorusu.rpcCode('UNIMPLEMENTED'));
+    });
+    it('should fail if the service is unknown', function() {
+      expect(function() {
+        theApp.registerService('unknown', {});
+      }).to.throw(Error);
+    });
+    it('should fail if there are unknown methods', function() {
+      expect(function() {
+        theApp.registerService('test', {doReverse: _.noop, other: _.noop});
+      }).to.throw(Error);
+      expect(theApp.hasRoute('/test/do_reverse')).to.be.false();
+    });
+    it('should fail if a method is implemented twice', function() {
+      expect(function() {
+        theApp.registerService('test', {
+          doReverse: _.noop,
+          'do_reverse': _.noop
+        });
+      }).to.throw(Error);
+    });
+    it('should fail if a handler is not a function', function() {
+      expect(function() {
+        theApp.registerService('test', {doReverse: 'not a function'});
+      }).to.throw(TypeError);
+    });
+  });
+  describe('method `use`', function() {
+    beforeEach(function(){
+      theApp.addService(testSvc);
+      theApp.addService(basicSvc);
+    });
+    it('should add middleware for all, service or route scopes', function() {
+      var all = _.noop.bind(null, 'all');
+      var service = _.noop.bind(null, 'service');
+      var route = _.noop.bind(null, 'route');
+      theApp.use(all);
+      theApp.use('basic', service);
+      theApp.use('/basic/noop', route);
+      expect(theApp.middleware('/basic/noop')).to.eql([all, service, route]);
+      expect(theApp.middleware('/test/do_reverse')).to.eql([all]);
+    });
+    it('should fail if the middleware is not a function', function() {
+      expect(function() {
+        theApp.use('basic', 'not-a-function');
+      }).to.throw(TypeError);
+    });
+    it('should fail if the scope is not a service or route', function() {
+      expect(function() {
+        theApp.use('/not/present', _.noop);
+      }).to.throw(Error);
+    });
+  });
   describe('method `isComplete`', function() {
     beforeEach(function(){
       theApp.addService(testSvc);
@@ -164,4 +484,26 @@ describe('RpcApp', function() {
       expect(theApp.isComplete()).to.be.true();
     });
   });
+  describe('method `dispatcher`', function() {
+    var dispatch = function dispatch(route) {
+      var response = {end: _.noop};
+      theApp.dispatcher()({url: route}, response);
+      return response;
+    };
+    beforeEach(function(){
+      theApp.addService(testSvc);
+      theApp.register('/test/do_reverse', _.noop);
+    });
+    it('should respond UNIMPLEMENTED to unknown services', function() {
+      var response = dispatch('/other/do_reverse');
+      expect(response.rpcCode).to.equal(dorusu.rpcCode('UNIMPLEMENTED'));
+      expect(response.rpcMessage).to.equal('Unknown service other');
+    });
+    it('should respond UNIMPLEMENTED to unknown methods', function() {
+      var response = dispatch('/test/do_other');
+      expect(response.rpcCode).to.equal(dorusu.rpcCode('UNIMPLEMENTED'));
+      expect(response.rpcMessage).to.equal(
+        'Unknown method do_other for service test');
+    });
+  });
 });
@@ -0,0 +1,114 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+var chai = require('chai');
+chai.use(require('dirty-chai'));
+var expect = chai.expect;
+
+var Backoff = require('../lib/backoff').Backoff;
+var DEFAULTS = require('../lib/backoff').DEFAULTS;
+
+describe('Backoff', function() {
+  describe('constructor', function() {
+    it('should use the defaults', function() {
+      var b = new Backoff();
+      expect(b.initialBackoff).to.equal(DEFAULTS.initialBackoff);
+      expect(b.multiplier).to.equal(DEFAULTS.multiplier);
+      expect(b.jitter).to.equal(DEFAULTS.jitter);
+      expect(b.maxBackoff).to.equal(DEFAULTS.maxBackoff);
+      expect(b.minConnectTimeout).to.equal(DEFAULTS.minConnectTimeout);
+    });
+    var badOpts = [
+      {initialBackoff: 0},
+      {initialBackoff: 100, maxBackoff: 10},
+      {multiplier: 0.5},
+      {jitter: -0.1},
+      {jitter: 1.5}
+    ];
+    badOpts.forEach(function(opts) {
+      it('should throw for ' + JSON.stringify(opts), function() {
+        expect(function() { new Backoff(opts); }).to.throw(RangeError);
+      });
+    });
+  });
+  describe('method `connectTimeout()`', function() {
+    it('should be at least minConnectTimeout', function() {
+      var b = new Backoff({initialBackoff: 10, minConnectTimeout: 500});
+      expect(b.connectTimeout()).to.equal(500);
+    });
+    it('should allow until the backoff deadline', function() {
+      var b = new Backoff({initialBackoff: 5000, minConnectTimeout: 500});
+      expect(b.connectTimeout()).to.be.within(4900, 5000);
+    });
+  });
+  describe('method `backOff()`', function() {
+    it('should wait until the current deadline', function() {
+      var b = new Backoff({initialBackoff: 1000, jitter: 0});
+      expect(b.backOff()).to.be.within(900, 1000);
+    });
+    it('should increase the backoff by the multiplier up to maxBackoff',
+       function() {
+         var b = new Backoff({
+           initialBackoff: 100,
+           multiplier: 2,
+           jitter: 0,
+           maxBackoff: 300
+         });
+         var backoffs = [];
+         for (var i = 0; i < 4; i++) {
+           b.backOff();
+           backoffs.push(b._current);
+         }
+         expect(backoffs).to.eql([200, 300, 300, 300]);
+       });
+    it('should keep the jitter within bounds', function() {
+      var b = new Backoff({initialBackoff: 1000, jitter: 0.2, multiplier: 1});
+      for (var i = 0; i < 10; i++) {
+        var start = Date.now();
+        var delay = b.backOff();
+        var gap = b._deadline - start - delay;
+        expect(gap).to.be.within(800, 1200 + 10);
+      }
+    });
+  });
+  describe('method `reset()`', function() {
+    it('should restore the initial backoff', function() {
+      var b = new Backoff({initialBackoff: 100, jitter: 0});
+      b.backOff();
+      b.backOff();
+      b.reset();
+      expect(b._current).to.equal(100);
+    });
+  });
+});
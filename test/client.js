@@ -36,19 +36,24 @@ var _ = require('lodash');
 var app = require('../lib/app');
 var chai = require('chai');
 chai.use(require('dirty-chai'));
+var client = require('../lib/client');
 var clientLog = require('./util').clientLog;
+var connectivityState = require('../lib/client').connectivityState;
 var decodeMessage = require('../lib/codec').decodeMessage;
 var encodeMessage = require('../lib/codec').encodeMessage;
 var expect = chai.expect;
 var http2 = require('http2');
 var insecureOptions = require('./util').insecureOptions;
+var intervalToMicros = require('../lib/codec').intervalToMicros;
 var irreverser = require('./util').irreverser;
 var listenOnFreePort = require('./util').listenOnFreePort;
+var nextAvailablePort = require('./util').nextAvailablePort;
 var reverser = require('./util').reverser;
 var dorusu = require('../lib/dorusu');
 var secureOptions = require('../example/certs').options;
 var serverLog = require('./util').serverLog;
 
+var EventEmitter = require('events').EventEmitter;
 var Readable = require('stream').Readable;
 var Stub = require('../lib/client').Stub;
 
@@ -64,6 +69,10 @@ var Stub = require('../lib/client').Stub;
 
 http2.globalAgent = new http2.Agent({ log: clientLog });
 
+// Async iteration is only tested on runtimes that have Symbol.asyncIterator.
+var describeIterates = (typeof Symbol === 'function' && Symbol.asyncIterator) ?
+    describe : describe.skip;
+
 var testOptions = {
   secure: secureOptions,
   insecure: insecureOptions
@@ -73,6 +82,7 @@ describe('Service Client', function() {
   var msg = 'hello';
   var testService = app.Service('test', [
     app.Method('do_echo', reverser, irreverser),
+    app.Method('do_echo_many', reverser, irreverser, true),
     app.Method('do_reverse', reverser),
     app.Method('do_irreverse', null, reverser)
   ]);
@@ -95,7 +105,7 @@ describe('Service Client', function() {
           msgs.push(msg);
           msgs.push(msg);
           msgs.push(null);
-          stub.doEcho(msgs, function(response) {
+          stub.doEchoMany(msgs, function(response) {
             var theStatus;
             var theError;
             response.on('data', function(data) {
@@ -121,7 +131,7 @@ describe('Service Client', function() {
         };
         var wantedMsg = reverser(msg).toString();
         var thisServer = function(request, response) {
-          expect(request.url).to.equal('/test/do_echo');
+          expect(request.url).to.equal('/test/do_echo_many');
           var validateReqThenRespond = function(err, decoded){
             expect(decoded.toString()).to.equal(wantedMsg);
             if (count === 2) {
@@ -138,6 +148,148 @@ describe('Service Client', function() {
         var testClient = app.buildClient(testService);
         checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
       });
+      it('should resolve a promise if called without a callback', function(done) {
+        var thisTest = function(srv, stub) {
+          stub.doEcho(msg, {headers: {'x-test': 'y'}}).then(function(result) {
+            expect(result.message).to.equal(msg);
+            expect(result.metadata['initial-md']).to.equal('a');
+            expect(result.trailers).to.eql({'trailing-md': 'b'});
+            expect(result.status).to.deep.equal({
+              'message': '',
+              'code': dorusu.rpcCode('OK')
+            });
+            srv.close();
+            done();
+          }).catch(done);
+        };
+        var thisServer = function(request, response) {
+          expect(request.headers['x-test']).to.equal('y');
+          request.once('data', function(data) {
+            response.setHeader('initial-md', 'a');
+            response.addTrailers({
+              'grpc-status': dorusu.rpcCode('OK'),
+              'trailing-md': 'b'
+            });
+            decodeMessage(data, null, function(err, decoded) {
+              encodeMessage(decoded, null, makeSendEncodedResponse(response));
+            });
+          });
+        };
+        var testClient = app.buildClient(testService);
+        checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
+      });
+      it('should accept opts after an undefined callback', function(done) {
+        var thisTest = function(srv, stub) {
+          var opts = {headers: {'x-test': 'y'}};
+          stub.doEcho(msg, undefined, opts).then(function(result) {
+            expect(result.message).to.equal(msg);
+            srv.close();
+            done();
+          }).catch(done);
+        };
+        var thisServer = function(request, response) {
+          expect(request.headers['x-test']).to.equal('y');
+          request.once('data', function(data) {
+            response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+            decodeMessage(data, null, function(err, decoded) {
+              encodeMessage(decoded, null, makeSendEncodedResponse(response));
+            });
+          });
+        };
+        var testClient = app.buildClient(testService);
+        checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
+      });
+      it('should reject the promise with an RpcError on failure', function(done) {
+        var thisTest = function(srv, stub) {
+          stub.doEcho(msg).then(function() {
+            done(new Error('should not have succeeded'));
+          }, function(err) {
+            expect(err).to.be.an.instanceof(dorusu.RpcError);
+            expect(err.code).to.equal(dorusu.rpcCode('NOT_FOUND'));
+            expect(err.message).to.equal('no such thing');
+            srv.close();
+            done();
+          }).catch(done);
+        };
+        var thisServer = function(request, response) {
+          request.once('data', function() {
+            response.addTrailers({
+              'grpc-status': dorusu.rpcCode('NOT_FOUND'),
+              'grpc-message': 'no such thing'
+            });
+            response.end();
+          });
+        };
+        var testClient = app.buildClient(testService);
+        checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
+      });
+      it('should reject the promise if the deadline passes', function(done) {
+        var thisTest = function(srv, stub) {
+          var opts = {headers: {'grpc-timeout': '50m'}};
+          stub.doEcho(msg, opts).then(function() {
+            done(new Error('should not have succeeded'));
+          }, function(err) {
+            expect(err.code).to.equal(dorusu.rpcCode('DEADLINE_EXCEEDED'));
+            srv.close();
+            done();
+          }).catch(done);
+        };
+        var thisServer = function(request) {
+          request.on('data', _.noop);  // never respond
+        };
+        var testClient = app.buildClient(testService);
+        checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
+      });
+      it('should reject the promise if the rpc is cancelled', function(done) {
+        var req;
+        var thisTest = function(srv, stub) {
+          var rpc = stub.stub.rpcFunc();
+          var cancellable = function() {
+            req = rpc.apply(null, arguments);
+            return req;
+          };
+          client.unaryRpc(cancellable, '/test/do_echo', msg).then(function() {
+            done(new Error('should not have succeeded'));
+          }, function(err) {
+            expect(err.code).to.equal(dorusu.rpcCode('CANCELLED'));
+            srv.close();
+            done();
+          }).catch(done);
+        };
+        var thisServer = function(request) {
+          request.once('data', function() {
+            req.cancel();
+          });
+        };
+        var testClient = app.buildClient(testService);
+        checkServiceClientAndServer(testClient, thisTest, thisServer, serverOpts);
+      });
+      it('should reject the promise if there are several responses',
+         function(done) {
+           var thisTest = function(srv, stub) {
+             stub.doEcho(msg).then(function() {
+               done(new Error('should not have succeeded'));
+             }, function(err) {
+               expect(err.code).to.equal(dorusu.rpcCode('INTERNAL'));
+               srv.close();
+               done();
+             }).catch(done);
+           };
+           var thisServer = function(request, response) {
+             request.once('data', function(data) {
+               response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+               decodeMessage(data, null, function(err, decoded) {
+                 encodeMessage(decoded, null, function(encoded) {
+                   response.write(encoded);
+                   response.end(encoded);
+                 });
+               });
+             });
+           };
+           var testClient = app.buildClient(testService);
+           checkServiceClientAndServer(testClient, thisTest, thisServer,
+                                       serverOpts);
+         });
     });
   });
 });
@@ -526,6 +678,38 @@ describe('Base RPC Client', function() {
           };
           checkClientAndServer(thisTest, thisServer, serverOpts);
         });
+        it('should use the deadline of the parent', function(done) {
+          var parent = {deadline: Date.now() + 5000};
+          var thisTest = function(srv, stub) {
+            stub.post(path, msg, _.noop, {parent: parent});
+          };
+
+          var server = createServer(serverOpts, function(request) {
+            var timeout = request.headers['grpc-timeout'];
+            expect(intervalToMicros(timeout)).to.be.within(1, 5 * 1e6);
+            server.close();
+            done();
+          });
+          checkClient(server, thisTest, serverOpts);
+        });
+        it('should keep its own deadline if it is before the parent\'s',
+           function(done) {
+             var parent = {deadline: new Date(Date.now() + 5000)};
+             var thisTest = function(srv, stub) {
+               stub.post(path, msg, _.noop, {
+                 headers: {'grpc-timeout': '1S'},
+                 parent: parent
+               });
+             };
+
+             var server = createServer(serverOpts, function(request) {
+               var timeout = request.headers['grpc-timeout'];
+               expect(intervalToMicros(timeout)).to.be.within(1, 1e6);
+               server.close();
+               done();
+             });
+             checkClient(server, thisTest, serverOpts);
+           });
       });
     });
     describe(connType + ': response metadata', function() {
@@ -796,6 +980,539 @@ describe('Base RPC Client', function() {
         checkClientAndServer(thisTest, thisServer, serverOpts);
       });
     });
+    describeIterates(connType + ': async iteration', function() {
+      var collect = function collect(iterable) {
+        var it = iterable[Symbol.asyncIterator]();
+        var got = [];
+        var loop = function loop() {
+          return it.next().then(function(res) {
+            if (res.done) {
+              return got;
+            }
+            got.push(res.value.toString());
+            return loop();
+          });
+        };
+        return loop();
+      };
+      var replyWith = function(code) {
+        return function(request, response) {
+          request.on('data', _.noop);
+          request.on('end', function() {
+            response.addTrailers({'grpc-status': code});
+            encodeMessage(reply, null, function(encoded) {
+              response.write(encoded);
+              response.end(encoded);
+            });
+          });
+        };
+      };
+      it('should iterate over the response messages', function(done) {
+        var thisTest = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            collect(response).then(function(got) {
+              expect(got).to.deep.equal([reply, reply]);
+              srv.close();
+              done();
+            }).catch(done);
+          });
+        };
+        checkClientAndServer(thisTest, replyWith(dorusu.rpcCode('OK')),
+                             serverOpts);
+      });
+      it('should fail with an RpcError on a non-OK status', function(done) {
+        var thisTest = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            collect(response).then(function() {
+              done(new Error('the iteration should have failed'));
+            }, function(err) {
+              expect(err).to.be.an.instanceof(dorusu.RpcError);
+              expect(err.code).to.equal(dorusu.rpcCode('NOT_FOUND'));
+              srv.close();
+              done();
+            }).catch(done);
+          });
+        };
+        checkClientAndServer(thisTest, replyWith(dorusu.rpcCode('NOT_FOUND')),
+                             serverOpts);
+      });
+      it('should send the messages from an async iterable', function(done) {
+        var received = [];
+        var thisTest = function(srv, stub) {
+          var msgs = {};
+          var sent = 0;
+          msgs[Symbol.asyncIterator] = function() {
+            return {
+              next: function() {
+                sent += 1;
+                return Promise.resolve({value: msg, done: sent > 3});
+              }
+            };
+          };
+          var call = stub.rpcFunc();
+          call(path, msgs, function(response) {
+            response.on('data', _.noop);
+            response.on('end', function() {
+              expect(received).to.deep.equal([msg, msg, msg]);
+              srv.close();
+              done();
+            });
+          });
+        };
+        var thisServer = function(request, response) {
+          request.on('data', function(data) {
+            decodeMessage(data, null, function(err, decoded) {
+              received.push(decoded.toString());
+            });
+          });
+          request.on('end', function() {
+            response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+            response.end();
+          });
+        };
+        checkClientAndServer(thisTest, thisServer, serverOpts);
+      });
+    });
+    describe(connType + ': interceptors', function() {
+      var makeStub = function(addr, interceptors) {
+        var stubOpts = {log: clientLog};
+        _.merge(stubOpts, addr, serverOpts);
+        stubOpts.interceptors = interceptors;
+        return new Stub(stubOpts);
+      };
+      it('should run in order, updating the metadata and observing the status',
+         function(done) {
+           var seen = [];
+           var first = function(call, next) {
+             seen.push('first');
+             call.headers.first = 'yes';
+             return next();
+           };
+           var second = function(call, next) {
+             seen.push('second:' + call.headers.first);
+             var callback = call.callback;
+             call.callback = function(response) {
+               response.on('status', function(status) {
+                 seen.push('status:' + status.code);
+               });
+               callback(response);
+             };
+             return next(call);
+           };
+           var srv = makeServer(serverOpts, function(request, response) {
+             expect(request.headers.first).to.equal('yes');
+             request.once('data', function() {
+               response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+               encodeMessage(reply, null, makeSendEncodedResponse(response));
+             });
+           });
+           listenOnFreePort(srv, function(addr, server) {
+             var stub = makeStub(addr, [first, second]);
+             stub.post(path, msg, function(response) {
+               response.on('data', _.noop);
+               response.on('end', function() {
+                 expect(seen).to.deep.equal(
+                   ['first', 'second:yes', 'status:0']);
+                 server.close();
+                 done();
+               });
+             });
+           });
+         });
+      it('should run an rpc\'s after the client\'s', function(done) {
+        var seen = [];
+        var record = function(name) {
+          return function(call, next) {
+            seen.push(name);
+            return next();
+          };
+        };
+        var clientInterceptors = [record('client1'), record('client2')];
+        var srv = makeServer(serverOpts, function(request, response) {
+          request.once('data', function() {
+            response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+            encodeMessage(reply, null, makeSendEncodedResponse(response));
+          });
+        });
+        listenOnFreePort(srv, function(addr, server) {
+          var stub = makeStub(addr, clientInterceptors);
+          var opts = {interceptors: [record('rpc')]};
+          stub.post(path, msg, function(response) {
+            response.on('data', _.noop);
+            response.on('end', function() {
+              expect(seen).to.deep.equal(['client1', 'client2', 'rpc']);
+              expect(clientInterceptors).to.have.length(2);
+              server.close();
+              done();
+            });
+          }, opts);
+        });
+      });
+      it('should allow an rpc to be short-circuited', function(done) {
+        var shortCircuit = function(call) {
+          return client.shortCircuit(call, {
+            messages: [reply],
+            status: {code: dorusu.rpcCode('NOT_FOUND'), message: 'absent'},
+            trailers: {why: 'intercepted'}
+          });
+        };
+        nextAvailablePort(function(addr) {
+          var stub = makeStub(addr, [shortCircuit]);
+          var received = [];
+          stub.post(path, msg, function(response) {
+            var theError;
+            response.on('data', function(data) {
+              received.push(data);
+            });
+            response.on('error', function(err) {
+              theError = err;
+            });
+            response.on('end', function() {
+              expect(received).to.deep.equal([reply]);
+              expect(theError).to.deep.equal({
+                code: dorusu.rpcCode('NOT_FOUND'),
+                message: 'absent'
+              });
+              expect(response.metadata).to.deep.equal({why: 'intercepted'});
+              expect(stub.getState()).to.equal(connectivityState.IDLE);
+              done();
+            });
+          });
+        });
+      });
+      it('should throw a TypeError if they are not functions', function() {
+        var shouldThrow = function() {
+          return new Stub({interceptors: ['not-a-function']});
+        };
+        expect(shouldThrow).to.throw(TypeError);
+      });
+    });
+    describe(connType + ': connection backoff', function() {
+      var backoff = {initialBackoff: 10, jitter: 0, multiplier: 1.6};
+      var sendOk = function(request, response) {
+        request.once('data', function() {
+          response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+          encodeMessage(reply, null, makeSendEncodedResponse(response));
+        });
+      };
+      it('should fail with UNAVAILABLE if the server is down', function(done) {
+        nextAvailablePort(function(addr) {
+          var stubOpts = {log: clientLog, backoff: backoff};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          var req = stub.post(path, msg, _.noop);
+          req.on('status', function(status) {
+            expect(status.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+            done();
+          });
+        });
+      });
+      it('should pass the failure of a refused connection to the callback',
+         function(done) {
+           nextAvailablePort(function(addr) {
+             var stubOpts = {log: clientLog, backoff: backoff};
+             _.merge(stubOpts, addr, serverOpts);
+             var stub = new Stub(stubOpts);
+             stub.post(path, msg, function(response) {
+               var gotStatus = false;
+               response.on('status', function(status) {
+                 expect(status.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+                 gotStatus = true;
+               });
+               response.on('error', function(err) {
+                 expect(gotStatus).to.be.true();
+                 expect(err.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+                 expect(err.message).to.contain('ECONNREFUSED');
+                 done();
+               });
+             });
+           });
+         });
+      it('should stop retrying when no rpcs are waiting', function(done) {
+        nextAvailablePort(function(addr) {
+          var stubOpts = {log: clientLog, backoff: backoff};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          var req = stub.post(path, msg, function(response) {
+            response.on('error', _.noop);
+          });
+          req.on('status', function() {
+            var seen = [];
+            stub.on('state', function(state) {
+              seen.push(state);
+            });
+            setTimeout(function() {
+              expect(seen).to.deep.equal([connectivityState.IDLE]);
+              expect(stub.getState()).to.equal(connectivityState.IDLE);
+              stub.close();
+              done();
+            }, 100);
+          });
+        });
+      });
+      it('should reconnect once the server is available', function(done) {
+        nextAvailablePort(function(addr) {
+          var stubOpts = {log: clientLog, backoff: backoff};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          var srv = makeServer(serverOpts, sendOk);
+          var req = stub.post(path, msg, function(response) {
+            response.on('error', _.noop);
+          });
+          req.on('status', function() {
+            // The first attempt failed, the next rpc makes another.
+            srv.listen(addr.port, function() {
+              setTimeout(function() {
+                stub.post(path, msg, function(response) {
+                  response.on('data', function(data) {
+                    expect(data.toString()).to.equal(reply);
+                  });
+                  response.on('end', function() {
+                    srv.close();
+                    done();
+                  });
+                });
+              }, 200);
+            });
+          });
+        });
+      });
+    });
+    describe(connType + ': wait for ready', function() {
+      var backoff = {initialBackoff: 20, jitter: 0};
+      it('should queue rpcs until the server is available', function(done) {
+        nextAvailablePort(function(addr) {
+          var stubOpts = {log: clientLog, backoff: backoff};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          var srv = makeServer(serverOpts, function(request, response) {
+            request.once('data', function() {
+              response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+              encodeMessage(reply, null, makeSendEncodedResponse(response));
+            });
+          });
+          var req = stub.post(path, msg, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(reply);
+            });
+            response.on('end', function() {
+              srv.close();
+              done();
+            });
+          }, {waitForReady: true});
+          req.on('status', function(status) {
+            done(new Error('unexpected failure: ' + status.message));
+          });
+          setTimeout(srv.listen.bind(srv, addr.port), 100);
+        });
+      });
+      it('should fail with DEADLINE_EXCEEDED if the deadline passes',
+         function(done) {
+           nextAvailablePort(function(addr) {
+             var stubOpts = {log: clientLog, backoff: backoff};
+             _.merge(stubOpts, addr, serverOpts);
+             var stub = new Stub(stubOpts);
+             var req = stub.post(path, msg, _.noop, {
+               waitForReady: true,
+               headers: {'grpc-timeout': '100m'}
+             });
+             req.on('status', function(status) {
+               expect(status.code).to.equal(
+                 dorusu.rpcCode('DEADLINE_EXCEEDED'));
+               stub.close();
+               done();
+             });
+           });
+         });
+    });
+    describe(connType + ': connection lifecycle', function() {
+      var sendOk = function(request, response) {
+        request.once('data', function() {
+          response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+          encodeMessage(reply, null, makeSendEncodedResponse(response));
+        });
+      };
+      var expectOk = function(stub, done) {
+        stub.post(path, msg, function(response) {
+          response.on('data', function(data) {
+            expect(data.toString()).to.equal(reply);
+          });
+          response.on('end', done);
+        });
+      };
+      it('should redial after the connection is closed', function(done) {
+        var sockets = [];
+        var srv = makeServer(serverOpts, sendOk);
+        srv._server.on('connection', function(socket) {
+          sockets.push(socket);
+          socket.once('close', function() {
+            setTimeout(function() {
+              expect(stub.agent.endpoints).to.be.empty();
+              expectOk(stub, function() {
+                srv.close();
+                done();
+              });
+            }, 50);
+          });
+        });
+        var stub;
+        listenOnFreePort(srv, function(addr) {
+          var stubOpts = {log: clientLog};
+          _.merge(stubOpts, addr, serverOpts);
+          stub = new Stub(stubOpts);
+          expectOk(stub, function() {
+            expect(_.size(stub.agent.endpoints)).to.equal(1);
+            sockets[0].destroy();
+          });
+        });
+      });
+      it('should end the connection when the client is closed', function(done) {
+        var srv = makeServer(serverOpts, sendOk);
+        srv._server.on('connection', function(socket) {
+          socket.once('close', function() {
+            srv.close();
+            done();
+          });
+        });
+        listenOnFreePort(srv, function(addr) {
+          var stubOpts = {log: clientLog};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          expectOk(stub, function() {
+            stub.close();
+          });
+        });
+      });
+      it('should fail in-flight rpcs with UNAVAILABLE', function(done) {
+        var thisTest = function(srv, stub) {
+          var req = stub.post(path, msg, function() {
+            done(new Error('should not have received a response'));
+          });
+          req.on('status', function(status) {
+            expect(status.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+            srv.close();
+            done();
+          });
+        };
+        var thisServer = function(request) {
+          request.stream.connection.close();  // sends GOAWAY
+          request.socket.destroy();
+        };
+        checkClientAndServer(thisTest, thisServer, serverOpts);
+      });
+      it('should evict the endpoint on receiving GOAWAY', function(done) {
+        var count = 0;
+        var thisTest = function(srv, stub) {
+          stub.post(path, msg, _.noop);
+          setTimeout(function() {
+            expect(stub.agent.endpoints).to.be.empty();
+            expectOk(stub, function() {
+              srv.close();
+              done();
+            });
+          }, 100);
+        };
+        var thisServer = function(request, response) {
+          count += 1;
+          if (count === 1) {
+            request.stream.connection.close();  // sends GOAWAY
+          } else {
+            sendOk(request, response);
+          }
+        };
+        checkClientAndServer(thisTest, thisServer, serverOpts);
+      });
+    });
+    describe(connType + ': connectivity state', function() {
+      var withStub = function(stubOpts, clientTask) {
+        var srv = makeServer(serverOpts, _.noop);
+        listenOnFreePort(srv, function(addr) {
+          _.merge(stubOpts, addr, serverOpts);
+          clientTask(srv, new Stub(stubOpts));
+        });
+      };
+      it('should be IDLE before any rpc', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          expect(stub.getState()).to.equal(connectivityState.IDLE);
+          srv.close();
+          done();
+        });
+      });
+      it('should become READY once connected', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          var seen = [];
+          stub.on('state', function(state) {
+            seen.push(state);
+            if (state === connectivityState.READY) {
+              expect(seen).to.eql([connectivityState.CONNECTING, connectivityState.READY]);
+              srv.close();
+              done();
+            }
+          });
+          expect(stub.getState(true)).to.equal(connectivityState.IDLE);
+        });
+      });
+      it('should be TRANSIENT_FAILURE if the server is down', function(done) {
+        nextAvailablePort(function(addr) {
+          var stubOpts = {log: clientLog, backoff: {initialBackoff: 1000}};
+          _.merge(stubOpts, addr, serverOpts);
+          var stub = new Stub(stubOpts);
+          stub.getState(true);
+          var deadline = Date.now() + 1000;
+          stub.watchState(connectivityState.CONNECTING, deadline, function(err, state) {
+            expect(err).to.be.null();
+            expect(state).to.equal(connectivityState.TRANSIENT_FAILURE);
+            done();
+          });
+        });
+      });
+      it('should fail to watch for a change after the deadline', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          stub.watchState(connectivityState.IDLE, Date.now() + 10, function(err) {
+            expect(err).to.be.an.instanceof(Error);
+            srv.close();
+            done();
+          });
+        });
+      });
+      it('should stop following the agent once unobserved', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          var before = stub.agent.listenerCount('state');
+          stub.watchState(connectivityState.IDLE, Date.now() + 10, function() {
+            expect(stub.agent.listenerCount('state')).to.equal(before);
+            srv.close();
+            done();
+          });
+          expect(stub.agent.listenerCount('state')).to.equal(before + 1);
+        });
+      });
+      it('should stop following the agent once closed', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          var before = stub.agent.listenerCount('state');
+          stub.on('state', _.noop);
+          expect(stub.agent.listenerCount('state')).to.equal(before + 1);
+          stub.close();
+          expect(stub.agent.listenerCount('state')).to.equal(before);
+          srv.close();
+          done();
+        });
+      });
+      it('should be SHUTDOWN once closed', function(done) {
+        withStub({log: clientLog}, function(srv, stub) {
+          stub.watchState(connectivityState.IDLE, Date.now() + 1000, function() {
+            stub.close();
+            expect(stub.getState()).to.equal(connectivityState.SHUTDOWN);
+            var req = stub.post(path, msg, _.noop);
+            req.on('status', function(status) {
+              expect(status.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+              srv.close();
+              done();
+            });
+          });
+          stub.getState(true);
+        });
+      });
+    });
     describe(connType + ': cancellation', function() {
       it('should cancel a request ok', function(done) {
         // thisTest makes a request then cancels it.
@@ -833,6 +1550,51 @@ describe('Base RPC Client', function() {
         };
         checkClientAndServer(thisTest, thisServer, serverOpts);
       });
+      it('should cancel a request when its parent is cancelled',
+         function(done) {
+           var parent = new EventEmitter();
+           var thisTest = function(srv, stub) {
+             var req = stub.post(path, msg, _.noop, {parent: parent});
+             req.on('cancel', function(code) {
+               expect(code).to.equal(dorusu.rpcCode('CANCELLED'));
+               srv.close();
+               done();
+             });
+           };
+
+           // thisServer cancels the parent once the request is received.
+           var thisServer = function() {
+             parent.emit('cancel');
+           };
+           checkClientAndServer(thisTest, thisServer, serverOpts);
+         });
+      it('should not cancel with the parent if propagateCancel is false',
+         function(done) {
+           var parent = new EventEmitter();
+           var thisTest = function(srv, stub) {
+             var opts = {parent: parent, propagateCancel: false};
+             var req = stub.post(path, msg, function(response) {
+               response.on('data', _.noop);
+               response.on('end', function() {
+                 srv.close();
+                 done();
+               });
+             }, opts);
+             req.on('cancel', function() {
+               done(new Error('the request should not be cancelled'));
+             });
+           };
+
+           // thisServer cancels the parent, then responds.
+           var thisServer = function(request, response) {
+             parent.emit('cancel');
+             request.once('data', function() {
+               response.addTrailers({'grpc-status': dorusu.rpcCode('OK')});
+               encodeMessage(reply, null, makeSendEncodedResponse(response));
+             });
+           };
+           checkClientAndServer(thisTest, thisServer, serverOpts);
+         });
     });
   });
 });
@@ -32,10 +32,15 @@
  */
 'use strict';
 
+var _ = require('lodash');
 var chai = require('chai');
 chai.use(require('dirty-chai'));
+var compression = require('../lib/compression');
 var decodeMessage = require('../lib/codec').decodeMessage;
+var decodeStatusMessage = require('../lib/codec').decodeStatusMessage;
+var dorusu = require('../lib/dorusu');
 var encodeMessage = require('../lib/codec').encodeMessage;
+var encodeStatusMessage = require('../lib/codec').encodeStatusMessage;
 var expect = chai.expect;
 var intervalToMicros = require('../lib/codec').intervalToMicros;
 var irreverser = require('./util').irreverser;
@@ -46,8 +51,10 @@ var reverser = require('./util').reverser;
 var ConcatStream = require('concat-stream');
 var EncodingStream = require('../lib/codec').EncodingStream;
 var DecodingStream = require('../lib/codec').DecodingStream;
+var MessageIterator = require('../lib/codec').MessageIterator;
 var Readable = require('stream').Readable;
 var Writable = require('stream').Writable;
+var zlib = require('zlib');
 
 describe('codec', function() {
   describe('interval conversion', function() {
@@ -185,9 +192,139 @@ describe('codec', function() {
       source.pipe(enc).pipe(dec).pipe(sink);
       source.push(null);
     });
+    ['gzip', 'deflate'].forEach(function(name) {
+      it('should decode messages compressed with ' + name, function(done) {
+        var sink = new Writable();
+        var collected = [];
+        sink._write = function _write(chunk, enc, next) {
+          collected.push(chunk.toString());
+          next();
+        };
+        var wanted = [];
+        sink.on('finish', function() {
+          expect(collected).to.eql(wanted);
+          done();
+        });
+        var source = new Readable();
+        var num = 3; // arbitrary
+        for (var i = 0; i < num; i++) {
+          var nextMsg = 'msg' + i;
+          source.push(nextMsg);
+          wanted.push(nextMsg);
+        }
+        var enc = new EncodingStream({compression: name});
+        var dec = new DecodingStream();
+        dec.compression = name;
+        source.pipe(enc).pipe(dec).pipe(sink);
+        source.push(null);
+      });
+    });
+    it('should fail on compressed messages if there is no compression',
+       function(done) {
+         var enc = new EncodingStream({compression: 'gzip'});
+         var dec = new DecodingStream();
+         dec.on('error', function(err) {
+           expect(err).to.be.an.instanceof(Error);
+           done();
+         });
+         dec.on('data', function() {
+           done(new Error('should not have decoded a message'));
+         });
+         enc.pipe(dec);
+         enc.end('msg');
+       });
+    it('should fail if it decodes more than maxMessages', function(done) {
+      var enc = new EncodingStream();
+      var dec = new DecodingStream({maxMessages: 1});
+      var collected = [];
+      dec.on('data', function(data) {
+        collected.push(data.toString());
+      });
+      dec.on('error', function(err) {
+        expect(err).to.be.an.instanceof(Error);
+        expect(collected).to.eql(['msg0']);
+        done();
+      });
+      enc.pipe(dec);
+      enc.write('msg0');
+      enc.end('msg1');
+    });
+    it('should fail if a message is longer than maxReceiveMessageLength',
+       function(done) {
+         var enc = new EncodingStream();
+         var dec = new DecodingStream({maxReceiveMessageLength: 4});
+         var collected = [];
+         dec.on('data', function(data) {
+           collected.push(data.toString());
+         });
+         dec.on('error', function(err) {
+           expect(err).to.be.an.instanceof(dorusu.RpcError);
+           expect(err.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+           expect(err.message).to.contain('5 vs. 4');
+           expect(collected).to.eql(['msg0']);
+           done();
+         });
+         enc.pipe(dec);
+         enc.write('msg0');
+         enc.end('msg01');
+       });
+    it('should fail on a long message before its payload arrives',
+       function(done) {
+         var dec = new DecodingStream({maxReceiveMessageLength: 1024});
+         dec.on('data', function() {
+           done(new Error('should not have decoded a message'));
+         });
+         dec.on('error', function(err) {
+           expect(err.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+           done();
+         });
+         var prefix = new Buffer(5);
+         prefix.writeUInt8(0, 0);
+         prefix.writeUInt32BE(1025, 1);
+         dec.write(prefix);
+       });
+    it('should check the length of a message after decompressing it',
+       function(done) {
+         var enc = new EncodingStream({compression: 'gzip'});
+         var dec = new DecodingStream({maxReceiveMessageLength: 64});
+         dec.compression = 'gzip';
+         dec.on('data', function() {
+           done(new Error('should not have decoded a message'));
+         });
+         dec.on('error', function(err) {
+           expect(err.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+           done();
+         });
+         enc.pipe(dec);
+         enc.end(_.repeat('a', 128));
+       });
+    it('should limit the output of decompression', function(done) {
+      var gotOpts;
+      compression.register('test-limited', {
+        compress: _.identity,
+        decompress: function(payload, opts) {
+          gotOpts = opts;
+          return payload;
+        }
+      });
+      var enc = new EncodingStream({compression: 'test-limited'});
+      var dec = new DecodingStream({maxReceiveMessageLength: 64});
+      dec.compression = 'test-limited';
+      dec.on('data', function(data) {
+        compression.unregister('test-limited');
+        expect(data.toString()).to.equal('msg0');
+        expect(gotOpts).to.eql({maxOutputLength: 64});
+        done();
+      });
+      enc.pipe(dec);
+      enc.end('msg0');
+    });
   });
 
   describe('EncodingStream', function() {
+    afterEach(function() {
+      compression.unregister('test-reverse');
+    });
     it('ignores empty pushes', function(done){
       var enc = new EncodingStream();
       var num = 7; // arbitrary
@@ -222,6 +359,48 @@ describe('codec', function() {
       source.pipe(enc).pipe(sink);
       source.push(null);
     });
+    it('should set the compressed flag when compressing', function(done){
+      var enc = new EncodingStream({compression: 'gzip'});
+      var sink = new ConcatStream({encoding: 'buffer'}, function(buf) {
+        expect(buf.readUInt8(0)).to.eql(1);
+        expect(buf.readUInt32BE(1)).to.eql(buf.length - 5);
+        expect(zlib.gunzipSync(buf.slice(5)).toString()).to.eql('msg0');
+        done();
+      });
+      enc.pipe(sink);
+      enc.end('msg0');
+    });
+    it('should not compress messages marked as uncompressed', function(done){
+      var enc = new EncodingStream({compression: 'gzip'});
+      var sink = new ConcatStream({encoding: 'buffer'}, function(buf) {
+        expect(buf.readUInt8(0)).to.eql(0);
+        expect(buf.slice(5).toString()).to.eql('msg0');
+        done();
+      });
+      enc.pipe(sink);
+      enc.end(compression.uncompressed('msg0'));
+    });
+    it('should use registered compressions', function(done){
+      compression.register('test-reverse', {
+        compress: reverser,
+        decompress: reverser
+      });
+      var enc = new EncodingStream({compression: 'test-reverse'});
+      var dec = new DecodingStream();
+      dec.compression = 'test-reverse';
+      var sink = new ConcatStream({encoding: 'buffer'}, function(buf) {
+        expect(buf.toString()).to.eql('msg0');
+        done();
+      });
+      enc.pipe(dec).pipe(sink);
+      enc.end('msg0');
+    });
+    it('should fail to construct with an unknown compression', function(){
+      var shouldThrow = function shouldThrow() {
+        new EncodingStream({compression: 'not-a-compression'});
+      };
+      expect(shouldThrow).to.throw(RangeError);
+    });
     it('should use the marshalr when present', function(done){
       var enc = new EncodingStream({marshal: reverser});
       var num = 6; // arbitrary
@@ -240,6 +419,148 @@ describe('codec', function() {
       source.pipe(enc).pipe(sink);
       source.push(null);
     });
+    it('should fail if a message is longer than maxSendMessageLength',
+       function(done) {
+         var enc = new EncodingStream({maxSendMessageLength: 4});
+         var collected = [];
+         enc.on('data', function(data) {
+           collected.push(data);
+         });
+         enc.on('error', function(err) {
+           expect(err).to.be.an.instanceof(dorusu.RpcError);
+           expect(err.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+           expect(err.message).to.contain('5 vs. 4');
+           expect(collected).to.have.length(1);
+           done();
+         });
+         enc.write('msg0');
+         enc.write('msg01');
+       });
+    it('should check maxSendMessageLength before compressing', function(done) {
+      var enc = new EncodingStream({
+        compression: 'gzip',
+        maxSendMessageLength: 64
+      });
+      enc.on('data', function() {
+        done(new Error('should not have encoded a message'));
+      });
+      enc.on('error', function(err) {
+        expect(err.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+        expect(err.message).to.contain('128 vs. 64');
+        done();
+      });
+      enc.end(_.repeat('a', 128));
+    });
+  });
+  describe('MessageIterator', function() {
+    var collect = function collect(it) {
+      var got = [];
+      var loop = function loop() {
+        return it.next().then(function(res) {
+          if (res.done) {
+            return got;
+          }
+          got.push(res.value);
+          return loop();
+        });
+      };
+      return loop();
+    };
+    it('should iterate over the source messages', function(done) {
+      var src = new Readable({objectMode: true});
+      src.push('a');
+      src.push('b');
+      src.push(null);
+      collect(new MessageIterator(src)).then(function(got) {
+        expect(got).to.eql(['a', 'b']);
+        done();
+      }).catch(done);
+    });
+    it('should fail with the Error from `checkEnd`', function(done) {
+      var src = new Readable({objectMode: true});
+      src.push('a');
+      src.push(null);
+      var failure = new Error('failed at the end');
+      var it = new MessageIterator(src, {checkEnd: () => failure});
+      collect(it).then(function() {
+        done(new Error('the iteration should have failed'));
+      }, function(err) {
+        expect(err).to.equal(failure);
+        done();
+      }).catch(done);
+    });
+    it('should convert a failed rpc status to an RpcError', function(done) {
+      var src = new Readable({objectMode: true, read: _.noop});
+      var it = new MessageIterator(src);
+      it.next().then(function() {
+        done(new Error('the iteration should have failed'));
+      }, function(err) {
+        expect(err).to.be.an.instanceof(dorusu.RpcError);
+        expect(err.code).to.eql(dorusu.rpcCode('NOT_FOUND'));
+        expect(err.message).to.eql('not here');
+        done();
+      }).catch(done);
+      src.emit('error', {code: dorusu.rpcCode('NOT_FOUND'), message: 'not here'});
+    });
+    it('should stop early on return', function(done) {
+      var src = new Readable({objectMode: true, read: _.noop});
+      src.push('a');
+      var it = new MessageIterator(src);
+      it.return().then(function(res) {
+        expect(res.done).to.be.true();
+        return it.next();
+      }).then(function(res) {
+        expect(res.done).to.be.true();
+        done();
+      }).catch(done);
+    });
+  });
+  describe('status message encoding', function() {
+    var specialMessage =
+      '\t\ntest with whitespace\r\nand Unicode BMP ☺ and non-BMP ' +
+      '😈\t\n';
+    var encodings = [{
+      name: 'printable ascii',
+      message: 'a simple message',
+      encoded: 'a simple message'
+    }, {
+      name: 'percent',
+      message: '100% sure',
+      encoded: '100%25 sure'
+    }, {
+      name: 'unicode',
+      message: 'BMP ☺ and non-BMP 😈',
+      encoded: 'BMP %E2%98%BA and non-BMP %F0%9F%98%88'
+    }, {
+      name: 'control characters',
+      message: specialMessage,
+      encoded: '%09%0Atest with whitespace%0D%0Aand Unicode BMP %E2%98%BA ' +
+        'and non-BMP %F0%9F%98%88%09%0A'
+    }];
+    encodings.forEach(function(e) {
+      it('should encode ' + e.name, function() {
+        expect(encodeStatusMessage(e.message)).to.equal(e.encoded);
+      });
+      it('should decode ' + e.name, function() {
+        expect(decodeStatusMessage(e.encoded)).to.equal(e.message);
+      });
+    });
+    it('should round trip long messages', function() {
+      var message = _.repeat('☺%\n', 2000);
+      var encoded = encodeStatusMessage(message);
+      expect(encoded).to.match(/^[\x20-\x7E]+$/);
+      expect(decodeStatusMessage(encoded)).to.equal(message);
+    });
+    it('should leave invalid percent-encodings unchanged', function() {
+      ['%', '%4', 'a%zz', '100%', '%E2%98%BA %g1'].forEach(function(value) {
+        var want = value.replace('%E2%98%BA', '☺');
+        expect(decodeStatusMessage(value)).to.equal(want);
+      });
+    });
+    it('should keep characters that are not percent-encoded', function() {
+      var value = 'é ☺ 😈 %E2%98%BA 100%';
+      expect(decodeStatusMessage(value)).to.equal('é ☺ 😈 ☺ 100%');
+    });
   });
   describe('decodeMessage', function() {
     it('should fail if the message is too small', function(done) {
@@ -288,6 +609,32 @@ describe('codec', function() {
         done();
       });
     });
+    it('should decompress a compressed message ok', function(done) {
+      var msg = 'some text';
+      var suffix = zlib.gzipSync(new Buffer(msg));
+      var prefix = new Buffer(5);
+      prefix.writeUIntBE(1, 0, 1);
+      prefix.writeUIntBE(suffix.length, 1, 4);
+      var encoded = Buffer.concat([prefix, suffix]);
+      var opts = {decompressor: compression.get('gzip')};
+      decodeMessage(encoded, opts, function(err, buf) {
+        expect(err).to.be.null();
+        expect(buf.toString()).to.eql(msg);
+        done();
+      });
+    });
+    it('should fail on a compressed message without a decompressor',
+       function(done) {
+         var suffix = zlib.gzipSync(new Buffer('some text'));
+         var prefix = new Buffer(5);
+         prefix.writeUIntBE(1, 0, 1);
+         prefix.writeUIntBE(suffix.length, 1, 4);
+         var willFail = Buffer.concat([prefix, suffix]);
+         decodeMessage(willFail, null, function(err) {
+           expect(err).to.be.an.instanceof(Error);
+           done();
+         });
+       });
   });
   describe('encodeMessage', function() {
     it('should encode a zero-length buffer correctly', function(done) {
@@ -322,5 +669,15 @@ describe('codec', function() {
         done();
       });
     });
+    it('should apply the compressor when present', function(done) {
+      var msg = 'some text';
+      var opts = {compressor: compression.get('deflate')};
+      encodeMessage(msg, opts, function(got) {
+        expect(got.readUInt8(0)).to.eql(1);
+        expect(got.readUInt32BE(1)).to.eql(got.length - 5);
+        expect(zlib.inflateSync(got.slice(5)).toString()).to.eql(msg);
+        done();
+      });
+    });
   });
 });
@@ -0,0 +1,140 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+var chai = require('chai');
+chai.use(require('dirty-chai'));
+var compression = require('../lib/compression');
+var expect = chai.expect;
+var reverser = require('./util').reverser;
+
+describe('compression', function() {
+  describe('method `isSupported(name)`', function() {
+    var supported = [undefined, '', 'identity', 'gzip', 'deflate'];
+    supported.forEach(function(name) {
+      it('should be true for "' + name + '"', function() {
+        expect(compression.isSupported(name)).to.be.true();
+      });
+    });
+    it('should be false for unknown encodings', function() {
+      expect(compression.isSupported('snappy')).to.be.false();
+    });
+  });
+  describe('method `get(name)`', function() {
+    it('should be null for identity', function() {
+      expect(compression.get('identity')).to.be.null();
+      expect(compression.get()).to.be.null();
+    });
+    it('should throw for unknown encodings', function() {
+      expect(function() { compression.get('snappy'); }).to.throw(RangeError);
+    });
+    ['gzip', 'deflate'].forEach(function(name) {
+      it('should obtain a compressor that roundtrips for ' + name, function() {
+        var c = compression.get(name);
+        var msg = new Buffer('a message that will be compressed');
+        expect(c.decompress(c.compress(msg))).to.eql(msg);
+      });
+    });
+  });
+  describe('method `acceptEncoding()`', function() {
+    it('should list all the supported encodings', function() {
+      expect(compression.acceptEncoding()).to.eql('identity,gzip,deflate');
+    });
+  });
+  describe('method `register(name, compressor)`', function() {
+    var reversing = {
+      compress: reverser,
+      decompress: reverser
+    };
+    afterEach(function() {
+      compression.unregister('reversing');
+      compression.unregister('broken');
+    });
+    it('should make the compression available', function() {
+      compression.register('reversing', reversing);
+      expect(compression.isSupported('reversing')).to.be.true();
+      expect(compression.names()).to.include('reversing');
+      var c = compression.get('reversing');
+      expect(c.compress(new Buffer('abc')).toString()).to.eql('cba');
+    });
+    ['', 'identity', 'a,b', undefined].forEach(function(name) {
+      it('should throw for the name "' + name + '"', function() {
+        expect(function() {
+          compression.register(name, reversing);
+        }).to.throw(RangeError);
+      });
+    });
+    it('should throw if the compressor is incomplete', function() {
+      expect(function() {
+        compression.register('broken', {compress: reversing.compress});
+      }).to.throw(TypeError);
+      expect(compression.isSupported('broken')).to.be.false();
+    });
+  });
+  describe('method `unregister(name)`', function() {
+    it('should remove a registered compression', function() {
+      compression.register('reversing', {
+        compress: reverser,
+        decompress: reverser
+      });
+      expect(compression.unregister('reversing')).to.be.true();
+      expect(compression.isSupported('reversing')).to.be.false();
+      expect(compression.acceptEncoding()).to.eql('identity,gzip,deflate');
+    });
+    it('should be false for unknown encodings', function() {
+      expect(compression.unregister('snappy')).to.be.false();
+    });
+  });
+  describe('method `uncompressed(message)`', function() {
+    it('should mark the message as uncompressed', function() {
+      var marked = compression.uncompressed('msg');
+      expect(compression.isUncompressed(marked)).to.be.true();
+      expect(marked.message).to.eql('msg');
+      expect(compression.isUncompressed('msg')).to.be.false();
+    });
+  });
+  describe('method `isAccepted(name, accepted)`', function() {
+    it('should be true for identity', function() {
+      expect(compression.isAccepted('identity')).to.be.true();
+    });
+    it('should be false if nothing is accepted', function() {
+      expect(compression.isAccepted('gzip')).to.be.false();
+    });
+    it('should be true if the name is listed', function() {
+      expect(compression.isAccepted('gzip', 'identity, gzip')).to.be.true();
+    });
+    it('should be false if the name is not listed', function() {
+      expect(compression.isAccepted('gzip', 'identity,deflate')).to.be.false();
+    });
+  });
+});
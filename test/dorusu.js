@@ -139,4 +139,32 @@ describe('dorusu', function() {
       });
     });
   });
+  describe('class `RpcError`', function() {
+    it('should be an Error with a code and message', function() {
+      var err = new dorusu.RpcError(dorusu.rpcCode('NOT_FOUND'), 'missing');
+      expect(err).to.be.an.instanceof(Error);
+      expect(err.name).to.equal('RpcError');
+      expect(err.code).to.equal(dorusu.rpcCode('NOT_FOUND'));
+      expect(err.message).to.equal('missing');
+      expect(err.metadata).to.eql({});
+      expect(err.stack).to.be.a('string');
+    });
+    it('should convert to a status', function() {
+      var err = dorusu.RpcError(dorusu.rpcCode('INTERNAL'));
+      expect(err.toStatus()).to.eql({
+        'code': dorusu.rpcCode('INTERNAL'),
+        'message': ''
+      });
+    });
+    it('should include any details in the status', function() {
+      var details = [{'@type': 'google.rpc.DebugInfo', detail: 'oops'}];
+      var err = dorusu.RpcError(dorusu.rpcCode('INTERNAL'), 'x', {}, details);
+      expect(err.details).to.eql(details);
+      expect(err.toStatus()).to.eql({
+        'code': dorusu.rpcCode('INTERNAL'),
+        'message': 'x',
+        'details': details
+      });
+    });
+  });
 });
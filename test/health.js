@@ -0,0 +1,242 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+var _ = require('lodash');
+var app = require('../lib/app');
+var chai = require('chai');
+chai.use(require('dirty-chai'));
+var clientLog = require('./util').clientLog;
+var dorusu = require('../lib');
+var EventEmitter = require('events').EventEmitter;
+var expect = chai.expect;
+var health = require('../lib/health');
+var http2 = require('http2');
+var insecureOptions = require('./util').insecureOptions;
+var listenOnFreePort = require('./util').listenOnFreePort;
+var secureOptions = require('../example/certs').options;
+var serverLog = require('./util').serverLog;
+
+http2.globalAgent = new http2.Agent({ log: clientLog });
+
+var testOptions = {
+  secure: secureOptions,
+  insecure: insecureOptions
+};
+
+describe('HealthImplementation', function() {
+  it('should hold the initial statuses', function() {
+    var impl = new health.HealthImplementation({'': health.SERVING});
+    expect(impl.getStatus('')).to.equal(health.SERVING);
+    expect(impl.getStatus('other')).to.equal(health.SERVICE_UNKNOWN);
+  });
+  it('should update the statuses', function() {
+    var impl = health.HealthImplementation();
+    impl.setStatus('a', health.NOT_SERVING);
+    expect(impl.getStatus('a')).to.equal(health.NOT_SERVING);
+    impl.setStatus('a', health.SERVICE_UNKNOWN);
+    expect(impl.getStatus('a')).to.equal(health.SERVICE_UNKNOWN);
+  });
+  it('should fail on invalid statuses', function() {
+    var impl = health.HealthImplementation();
+    expect(function() {
+      impl.setStatus('a', 'RESTING');
+    }).to.throw(RangeError);
+  });
+  describe('watch', function() {
+    var fakeRpc = function() {
+      var request = new EventEmitter();
+      var response = new EventEmitter();
+      response.written = [];
+      response.write = function(msg) {
+        response.written.push(msg.status);
+      };
+      return {request: request, response: response};
+    };
+    it('should not watch if the rpc is already cancelled', function() {
+      var impl = health.HealthImplementation();
+      var rpc = fakeRpc();
+      impl.watch(rpc.request, rpc.response);
+      rpc.request.cancelled = true;
+      rpc.request.emit('data', {service: 'a'});
+      impl.setStatus('a', health.SERVING);
+      expect(rpc.response.written).to.be.empty();
+      expect(rpc.request.listenerCount('cancel')).to.equal(0);
+    });
+    _.forEach({
+      'the rpc is cancelled': (rpc) => rpc.request.emit('cancel'),
+      'the response finishes': (rpc) => rpc.response.emit('finish')
+    }, function(end, how) {
+      it('should stop watching once ' + how, function() {
+        var impl = health.HealthImplementation();
+        var rpc = fakeRpc();
+        impl.watch(rpc.request, rpc.response);
+        rpc.request.emit('data', {service: 'a'});
+        impl.setStatus('a', health.SERVING);
+        end(rpc);
+        impl.setStatus('a', health.NOT_SERVING);
+        expect(rpc.response.written).to.eql(
+          [health.SERVICE_UNKNOWN, health.SERVING]);
+        expect(rpc.request.listenerCount('cancel')).to.equal(0);
+        expect(rpc.response.listenerCount('finish')).to.equal(0);
+      });
+    });
+    it('should watch services with any name', function() {
+      var impl = health.HealthImplementation();
+      var rpc = fakeRpc();
+      impl.setStatus('error', health.SERVING);
+      impl.watch(rpc.request, rpc.response);
+      rpc.request.emit('data', {service: 'error'});
+      impl.setStatus('error', health.NOT_SERVING);
+      expect(rpc.response.written).to.eql(
+        [health.SERVING, health.NOT_SERVING]);
+    });
+  });
+  it('should add the health service to an app', function() {
+    var anApp = new app.RpcApp();
+    expect(health.HealthImplementation().addToApp(anApp)).to.equal(anApp);
+    expect(anApp.isComplete()).to.be.true();
+    expect(anApp.hasRoute('/grpc.health.v1.Health/Check')).to.be.true();
+    expect(anApp.hasRoute('/grpc.health.v1.Health/Watch')).to.be.true();
+  });
+});
+
+describe('Health service', function() {
+  _.forEach(testOptions, function(serverOpts, connType) {
+    describe(connType, function() {
+      var client, impl, server;
+      before(function(done) {
+        impl = new health.HealthImplementation({
+          '': health.SERVING,
+          'math.Math': health.NOT_SERVING
+        });
+        var opts = _.clone(serverOpts);
+        opts.app = impl.addToApp(new app.RpcApp());
+        server = makeServer(opts);
+        listenOnFreePort(server, function(addr) {
+          var stubOpts = _.merge({}, addr, serverOpts);
+          if (connType === 'secure') {
+            client = new health.Client(stubOpts);
+          } else {
+            client = new health.Client.raw(stubOpts);
+          }
+          done();
+        });
+      });
+      after(function() {
+        server.close();
+      });
+      it('should respond to Check with the status', function(done) {
+        client.check({service: 'math.Math'}).then(function(result) {
+          expect(result.message.status).to.equal(health.NOT_SERVING);
+          done();
+        }).catch(done);
+      });
+      it('should fail Check with NOT_FOUND for unknown services',
+         function(done) {
+           client.check({service: 'unknown'}).then(function() {
+             done(new Error('should not have succeeded'));
+           }, function(err) {
+             expect(err.code).to.equal(dorusu.rpcCode('NOT_FOUND'));
+             done();
+           }).catch(done);
+         });
+      it('should send the status updates to Watch', function(done) {
+        var got = [];
+        var req = client.watch({service: 'watched'}, function(response) {
+          response.on('error', _.noop);
+          response.on('data', function(msg) {
+            got.push(msg.status);
+            if (got.length === 1) {
+              impl.setStatus('watched', health.SERVING);
+              impl.setStatus('watched', health.SERVING);
+              impl.setStatus('watched', health.NOT_SERVING);
+            } else if (got.length === 3) {
+              expect(got).to.eql([
+                health.SERVICE_UNKNOWN,
+                health.SERVING,
+                health.NOT_SERVING
+              ]);
+              req.abort();
+              done();
+            }
+          });
+        });
+      });
+      it('should stop watching once the Watch response ends',
+         function(done) {
+           var watched = new health.HealthImplementation();
+           var watchResponse;
+           var anApp = new app.RpcApp();
+           anApp.addService(health.service);
+           anApp.registerService(health.SERVICE_NAME, {
+             check: watched.check.bind(watched),
+             watch: function(request, response) {
+               watchResponse = response;
+               watched.watch(request, response);
+               request.once('data', function() {
+                 response.end();
+               });
+             }
+           });
+           var opts = _.clone(serverOpts);
+           opts.app = anApp;
+           var srv = makeServer(opts);
+           listenOnFreePort(srv, function(addr) {
+             var stubOpts = _.merge({}, addr, serverOpts);
+             var watchClient = connType === 'secure' ?
+                 new health.Client(stubOpts) :
+                 new health.Client.raw(stubOpts);
+             watchClient.watch({service: 'ends'}, function(response) {
+               response.on('data', _.noop);
+               response.on('end', function() {
+                 expect(watchResponse.listenerCount('finish')).to.equal(0);
+                 expect(watched._watchers.has('ends')).to.be.false();
+                 srv.close();
+                 done();
+               });
+             });
+           });
+         });
+    });
+  });
+});
+
+function makeServer(opts) {
+  opts.log = serverLog;
+  if (opts.plain) {
+    return dorusu.raw.createServer(opts);
+  } else {
+    return dorusu.createServer(opts);
+  }
+}
@@ -86,7 +86,9 @@ describe('Interop Client', function() {
           'ping_pong',
           'empty_stream',
           'cancel_after_first_response',
-          'timeout_on_sleeping_server'
+          'timeout_on_sleeping_server',
+          'unimplemented_method',
+          'unimplemented_service'
 
       ];
       _.forEach(testCases, function(t) {
@@ -102,8 +104,8 @@ function makeServer(opts) {
   opts = _.clone(opts);
   opts.log = serverLog;
   if (opts.plain) {
-    return dorusu.raw.createServer(opts, dorusu.unavailable);
+    return dorusu.raw.createServer(opts);
   } else {
-    return dorusu.createServer(opts, dorusu.unavailable);
+    return dorusu.createServer(opts);
   }
 }
@@ -34,6 +34,7 @@
 
 var _ = require('lodash');
 var app = require('../lib/app');
+var descriptor = require('../lib/descriptor');
 var expect = require('chai').expect;
 var path = require('path');
 var protobuf = require ('../lib/protobuf');
@@ -112,6 +113,18 @@ describe('`function loadProto(path, [format])`', function() {
       '/TestService/BidiStream'
     ]);
   });
+  it('should record the kind of the methods of a service', function() {
+    var testProto = protobuf.loadProto(fixturePath('test_service.proto'));
+    var got = testProto.TestService.serverApp;
+    expect(_.map(got.missingRoutes(), function(r) {
+      return got.method(r).kind;
+    })).to.eql([
+      app.UNARY,
+      app.CLIENT_STREAMING,
+      app.SERVER_STREAMING,
+      app.BIDI
+    ]);
+  });
   it('should load a server defined with a package', function() {
     var mathProto = protobuf.loadProto(examplePath('math.proto'));
     var got = mathProto.math.Math.serverApp;
@@ -123,6 +136,24 @@ describe('`function loadProto(path, [format])`', function() {
       '/math.Math/Sum'
     ]);
   });
+  it('should retain the file descriptors of a service', function() {
+    var mathProto = protobuf.loadProto(examplePath('math.proto'));
+    var got = mathProto.math.Math.fileDescriptors;
+    expect(got).to.have.length(1);
+    var file = descriptor.FileDescriptorProto.decode(got[0]);
+    expect(file.name).to.eql('math.proto');
+    expect(file['package']).to.eql('math');
+    expect(_.map(file.service[0].method, 'name')).to.eql([
+      'Div', 'DivMany', 'Fib', 'Sum']);
+  });
+  it('should retain the file descriptors loaded from json', function() {
+    var testProto = protobuf.loadProto(fixturePath('test_service.json'),
+                                       'json');
+    var got = testProto.TestService.fileDescriptors;
+    expect(got).to.have.length(1);
+    var file = descriptor.FileDescriptorProto.decode(got[0]);
+    expect(file.service[0].name).to.eql('TestService');
+  });
 });
 
 describe('`function requireProto(path, [format])`', function() {
@@ -0,0 +1,177 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+var _ = require('lodash');
+var app = require('../lib/app');
+var buildMathApp = require('../example/math_server').buildApp;
+var chai = require('chai');
+chai.use(require('dirty-chai'));
+var clientLog = require('./util').clientLog;
+var descriptor = require('../lib/descriptor');
+var dorusu = require('../lib');
+var expect = chai.expect;
+var http2 = require('http2');
+var insecureOptions = require('./util').insecureOptions;
+var listenOnFreePort = require('./util').listenOnFreePort;
+var reflection = require('../lib/reflection');
+var Readable = require('stream').Readable;
+var secureOptions = require('../example/certs').options;
+var serverLog = require('./util').serverLog;
+
+http2.globalAgent = new http2.Agent({ log: clientLog });
+
+var testOptions = {
+  secure: secureOptions,
+  insecure: insecureOptions
+};
+
+describe('reflection', function() {
+  it('should add the reflection service to an app', function() {
+    var anApp = new app.RpcApp();
+    expect(reflection.addToApp(anApp)).to.equal(anApp);
+    expect(anApp.isComplete()).to.be.true();
+    expect(anApp.hasRoute(
+      '/grpc.reflection.v1alpha.ServerReflection/ServerReflectionInfo'
+    )).to.be.true();
+  });
+});
+
+describe('Reflection service', function() {
+  _.forEach(testOptions, function(serverOpts, connType) {
+    describe(connType, function() {
+      var client, server;
+      before(function(done) {
+        var opts = _.clone(serverOpts);
+        opts.app = reflection.addToApp(buildMathApp());
+        server = makeServer(opts);
+        listenOnFreePort(server, function(addr) {
+          var stubOpts = _.merge({}, addr, serverOpts);
+          if (connType === 'secure') {
+            client = new reflection.Client(stubOpts);
+          } else {
+            client = new reflection.Client.raw(stubOpts);
+          }
+          done();
+        });
+      });
+      after(function() {
+        server.close();
+      });
+
+      var reflect = function reflect(requests, next) {
+        var got = [];
+        var src = new Readable({objectMode: true});
+        _.forEach(requests, function(r) {
+          src.push(_.merge({host: 'localhost'}, r));
+        });
+        src.push(null);
+        client.serverReflectionInfo(src, function(response) {
+          response.on('error', next);
+          response.on('data', function(msg) {
+            got.push(msg);
+          });
+          response.on('end', function() {
+            next(null, got);
+          });
+        });
+      };
+      var fileNames = function fileNames(msg) {
+        var files = msg.file_descriptor_response.file_descriptor_proto;
+        return _.map(files, function(f) {
+          return descriptor.FileDescriptorProto.decode(f).name;
+        });
+      };
+
+      it('should list the services', function(done) {
+        reflect([{list_services: ''}], function(err, got) {
+          expect(err).to.be.null();
+          expect(got).to.have.length(1);
+          expect(got[0].original_request.list_services).to.eql('');
+          expect(_.map(got[0].list_services_response.service, 'name'))
+            .to.eql(['math.Math', reflection.SERVICE_NAME]);
+          done();
+        });
+      });
+      it('should respond to each request', function(done) {
+        reflect([
+          {file_by_filename: 'math.proto'},
+          {file_containing_symbol: 'math.Math'},
+          {file_containing_symbol: 'math.DivArgs'},
+          {file_containing_symbol: 'math.Math.Fib'},
+          {file_containing_symbol: 'grpc.reflection.v1alpha.ServerReflection'}
+        ], function(err, got) {
+          expect(err).to.be.null();
+          expect(_.map(got, fileNames)).to.eql([
+            ['math.proto'],
+            ['math.proto'],
+            ['math.proto'],
+            ['math.proto'],
+            ['grpc/reflection/v1alpha/reflection.proto']
+          ]);
+          expect(got[1].original_request.file_containing_symbol)
+            .to.eql('math.Math');
+          done();
+        });
+      });
+      it('should respond with NOT_FOUND for unknown symbols', function(done) {
+        reflect([
+          {file_containing_symbol: 'math.Unknown'},
+          {file_by_filename: 'unknown.proto'},
+          {file_containing_extension: {
+            containing_type: 'math.DivArgs',
+            extension_number: 100
+          }}
+        ], function(err, got) {
+          expect(err).to.be.null();
+          expect(got).to.have.length(3);
+          _.forEach(got, function(msg) {
+            expect(msg.message_response).to.eql('error_response');
+            expect(msg.error_response.error_code).to.eql(
+              dorusu.rpcCode('NOT_FOUND'));
+          });
+          done();
+        });
+      });
+    });
+  });
+});
+
+function makeServer(opts) {
+  opts.log = serverLog;
+  if (opts.plain) {
+    return dorusu.raw.createServer(opts);
+  } else {
+    return dorusu.createServer(opts);
+  }
+}
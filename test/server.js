@@ -35,7 +35,10 @@
 var _ = require('lodash');
 var app = require('../lib/app');
 var clientLog = require('./util').clientLog;
+var compression = require('../lib/compression');
+var encodeMessage = require('../lib/codec').encodeMessage;
 var expect = require('chai').expect;
+var http2 = require('http2');
 var irreverser = require('./util').irreverser;
 var insecureOptions = require('./util').insecureOptions;
 var listenOnFreePort = require('./util').listenOnFreePort;
@@ -44,7 +47,10 @@ var dorusu = require('../lib');
 var secureOptions = require('../example/certs').serverOptions;
 var serverLog = require('./util').serverLog;
 
+var CallContext = require('../lib/server').CallContext;
+var EventEmitter = require('events').EventEmitter;
 var Stub = require('../lib/client').Stub;
+var Readable = require('stream').Readable;
 
 
 // testTable is used to verify dorusu.makeDispatcher.
@@ -85,6 +91,149 @@ testApp.register('/test/do_irreverse', function testHandler(request, response) {
   });
 });
 
+// middlewareApp is used to verify app middleware
+var middlewareSeen = [];
+var middlewareApp = new app.RpcApp(
+  app.Service('mw', [
+    app.Method('echo'),
+    app.Method('guarded'),
+    app.Method('broken')
+  ])
+);
+var middlewareContext;
+middlewareApp.use(function global(request, response, next) {
+  middlewareSeen.push('global');
+  request.context.set('seen-by', 'global');
+  var addTrailers = response.addTrailers;
+  response.addTrailers = function(trailers) {
+    middlewareSeen.push('status:' + trailers['grpc-status']);
+    addTrailers.call(response, trailers);
+  };
+  next();
+});
+middlewareApp.use('mw', function perService(request, response, next) {
+  middlewareSeen.push('service');
+  next();
+});
+middlewareApp.use('/mw/guarded', function perRoute(request, response, next) {
+  middlewareSeen.push('route');
+  next(new dorusu.RpcError(dorusu.rpcCode('PERMISSION_DENIED'), 'no entry'));
+});
+middlewareApp.register('/mw/echo', function testHandler(request, response) {
+  middlewareSeen.push('handler');
+  middlewareContext = request.context;
+  request.once('data', function(data) {
+    response.end(data);
+  });
+});
+middlewareApp.register('/mw/guarded', function testHandler(request, response) {
+  middlewareSeen.push('handler');
+  request.once('data', function(data) {
+    response.end(data);
+  });
+});
+
+middlewareApp.register('/mw/broken', function testHandler() {
+  middlewareSeen.push('handler');
+  throw new Error('broken');
+});
+
+// unaryApp is used to verify that unary methods only accept one message
+var unaryApp = new app.RpcApp(
+  app.Service('unary', [
+    app.Method('collect')
+  ])
+);
+unaryApp.register('/unary/collect', function testHandler(request, response) {
+  var got = [];
+  request.on('data', function(data) {
+    got.push(data.toString());
+  });
+  request.on('end', function() {
+    response.end(got.join(','));
+  });
+});
+
+// limitedApp is used to verify the message length limits of methods
+var limitedApp = new app.RpcApp(
+  app.Service('limited', [
+    app.Method('echo', undefined, undefined, false, false, {
+      maxReceiveMessageLength: 4,
+      maxSendMessageLength: 4
+    })
+  ])
+);
+limitedApp.register('/limited/echo', function testHandler(request, response) {
+  request.once('data', function(data) {
+    response.end(data.toString() + data.toString());
+  });
+});
+
+// asyncApp is used to verify async handlers
+var asyncApp = new app.RpcApp(
+  app.Service('async', [
+    app.Method('unary'),
+    app.Method('serverStream', undefined, undefined, false, true),
+    app.Method('clientStream', undefined, undefined, true),
+    app.Method('broken'),
+    app.Method('empty'),
+    app.Method('plain')
+  ])
+);
+var asyncContext;
+// asyncIterable makes iterator an async iterable of itself; tests that use it
+// only run on runtimes that have Symbol.asyncIterator.
+var hasAsyncIterator = typeof Symbol === 'function' && !!Symbol.asyncIterator;
+var itIterates = hasAsyncIterator ? it : it.skip;
+var describeIterates = hasAsyncIterator ? describe : describe.skip;
+var asyncIterable = function asyncIterable(iterator) {
+  iterator[Symbol.asyncIterator] = _.constant(iterator);
+  return iterator;
+};
+asyncApp.register('/async/unary', function(msg, ctx) {
+  asyncContext = ctx;
+  return Promise.resolve(msg.toString() + ' reply');
+}, {async: true});
+asyncApp.register('/async/serverStream', function(msg) {
+  var n = 0;
+  return asyncIterable({
+    next: function() {
+      n += 1;
+      if (n > 2) {
+        return Promise.resolve({done: true});
+      }
+      return Promise.resolve({value: msg.toString() + ' ' + n, done: false});
+    }
+  });
+}, {async: true});
+asyncApp.register('/async/clientStream', function(request) {
+  var it = request[Symbol.asyncIterator]();
+  var got = [];
+  var loop = function loop() {
+    return it.next().then(function(res) {
+      if (res.done) {
+        return got.join(',');
+      }
+      got.push(res.value.toString());
+      return loop();
+    });
+  };
+  return loop();
+}, {async: true});
+asyncApp.register('/async/broken', function() {
+  return Promise.reject(
+    new dorusu.RpcError(dorusu.rpcCode('ABORTED'), 'aborted'));
+}, {async: true});
+asyncApp.register('/async/empty', function() {
+  return Promise.resolve();
+}, {async: true});
+asyncApp.register('/async/plain', function(request, response) {
+  request.once('data', function(data) {
+    response.end(data.toString() + ' plain');
+  });
+  return Promise.resolve();
+});
+
 // Tests here can use the dorusu client as it's tests do not depend on RpcServer.
 //
 // Typically flow is:
@@ -157,7 +306,7 @@ describe('RpcServer', function() {
         // here, null === no requestListener fallback
         checkClientAndServer(thisClient, fallback, appOptions);
       });
-      it('should use `dorusu.unavailable` as the default fallback', function(done) {
+      it('should respond UNIMPLEMENTED by default', function(done) {
         var thisClient = function(srv, stub) {
           stub.post(path, msg, function(response) {
             var theStatus;
@@ -171,12 +320,12 @@ describe('RpcServer', function() {
             });
             response.on('end', function() {
               expect(theStatus).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               expect(theError).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               srv.close();
               done();
@@ -255,9 +404,131 @@ describe('RpcServer', function() {
         appOptions.app = testApp;
         checkClientAndServer(thisClient, _.noop, appOptions);
       });
+      it('should run the middleware before the handler', function(done) {
+        middlewareSeen = [];
+        var thisClient = function(srv, stub) {
+          stub.post('/mw/echo', msg, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.eql(msg);
+            });
+            response.on('end', function() {
+              expect(middlewareSeen).to.deep.equal(
+                ['global', 'service', 'handler', 'status:0']);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var appOptions = _.clone(serverOptions);
+        appOptions.app = middlewareApp;
+        checkClientAndServer(thisClient, _.noop, appOptions);
+      });
+      it('should add a context to the request', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post('/mw/echo', msg, function(response) {
+            response.on('data', _.noop);
+            response.on('end', function() {
+              var ctx = middlewareContext;
+              expect(ctx.get('seen-by')).to.equal('global');
+              expect(ctx.method.name).to.equal('echo');
+              expect(ctx.path).to.equal('/mw/echo');
+              expect(ctx.peer).to.match(/:\d+$/);
+              expect(ctx.deadline).to.equal(undefined);
+              expect(ctx.timeRemaining()).to.equal(Infinity);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var appOptions = _.clone(serverOptions);
+        appOptions.app = middlewareApp;
+        checkClientAndServer(thisClient, _.noop, appOptions);
+      });
+      it('should fail the rpc if the middleware rejects it', function(done) {
+        middlewareSeen = [];
+        var thisClient = function(srv, stub) {
+          stub.post('/mw/guarded', msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'message': 'no entry',
+                'code': dorusu.rpcCode('PERMISSION_DENIED')
+              });
+              expect(middlewareSeen).to.deep.equal(
+                ['global', 'service', 'route', 'status:7']);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var appOptions = _.clone(serverOptions);
+        appOptions.app = middlewareApp;
+        checkClientAndServer(thisClient, _.noop, appOptions);
+      });
+      it('should fail the rpc if the handler throws', function(done) {
+        middlewareSeen = [];
+        var thisClient = function(srv, stub) {
+          stub.post('/mw/broken', msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'message': 'broken',
+                'code': dorusu.rpcCode('UNKNOWN')
+              });
+              expect(middlewareSeen).to.deep.equal(
+                ['global', 'service', 'handler', 'status:2']);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var appOptions = _.clone(serverOptions);
+        appOptions.app = middlewareApp;
+        checkClientAndServer(thisClient, _.noop, appOptions);
+      });
+      it('should fail unary rpcs that send more than one message',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             var msgs = new Readable();
+             msgs.push(msg);
+             msgs.push(msg);
+             msgs.push(null);
+             stub.rpcFunc()('/unary/collect', msgs, function(response) {
+               var theStatus;
+               response.on('data', _.noop);
+               response.on('error', _.noop);
+               response.on('status', function(status) {
+                 theStatus = status;
+               });
+               response.on('end', function() {
+                 expect(theStatus.code).to.equal(dorusu.rpcCode('INTERNAL'));
+                 srv.close();
+                 done();
+               });
+             });
+           };
+
+           var appOptions = _.clone(serverOptions);
+           appOptions.app = unaryApp;
+           checkClientAndServer(thisClient, _.noop, appOptions);
+         });
     });
     describe(connType + ': `dorusu.makeDispatcher`', function() {
-      it('should respond with rpcCode 404 for empty table', function(done) {
+      it('should respond UNIMPLEMENTED for an empty table', function(done) {
         var thisClient = function(srv, stub) {
           stub.post(path, msg, function(response) {
             var theStatus;
@@ -271,12 +542,12 @@ describe('RpcServer', function() {
             });
             response.on('end', function() {
               expect(theStatus).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               expect(theError).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               srv.close();
               done();
@@ -286,7 +557,7 @@ describe('RpcServer', function() {
 
         checkClientAndServer(thisClient, dorusu.makeDispatcher(), serverOptions);
       });
-      it('should respond with rpcCode 404 for unknown routes', function(done) {
+      it('should respond UNIMPLEMENTED for unknown routes', function(done) {
         var thisClient = function(srv, stub) {
           stub.post(path, msg, function(response) {
             var theStatus;
@@ -300,12 +571,12 @@ describe('RpcServer', function() {
             });
             response.on('end', function() {
               expect(theStatus).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               expect(theError).to.deep.equal({
-                'message': '',
-                'code': dorusu.rpcCode('UNAVAILABLE')
+                'message': 'Unknown method /x',
+                'code': dorusu.rpcCode('UNIMPLEMENTED')
               });
               srv.close();
               done();
@@ -318,6 +589,31 @@ describe('RpcServer', function() {
         var dispatcher = dorusu.makeDispatcher(table);
         checkClientAndServer(thisClient, dispatcher, serverOptions);
       });
+      it('should respond to unknown routes without waiting for messages',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             var msgs = new Readable();
+             msgs._read = _.noop;  // never sends a message or ends
+             stub.rpcFunc()('/unknown/route', msgs, function(response) {
+               var theStatus;
+               response.on('data', _.noop);
+               response.on('error', _.noop);
+               response.on('status', function(status) {
+                 theStatus = status;
+               });
+               response.on('end', function() {
+                 expect(theStatus).to.deep.equal({
+                   'message': 'Unknown service unknown',
+                   'code': dorusu.rpcCode('UNIMPLEMENTED')
+                 });
+                 srv.close();
+                 done();
+               });
+             });
+           };
+           checkClientAndServer(thisClient, dorusu.makeDispatcher(testTable),
+                                serverOptions);
+         });
       it('should respond for configured routes', function(done) {
         var thisClient = function(srv, stub) {
           stub.post(path, msg, function(response) {
@@ -345,9 +641,88 @@ describe('RpcServer', function() {
         var dispatcher = dorusu.makeDispatcher(testTable);
         checkClientAndServer(thisClient, dispatcher, serverOptions);
       });
+      it('should fail the rpc if the handler throws', function(done) {
+        var code = dorusu.rpcCode('FAILED_PRECONDITION');
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'message': 'not ready',
+                'code': code
+              });
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var dispatcher = dorusu.makeDispatcher({
+          '/x': function() {
+            throw new dorusu.RpcError(code, 'not ready');
+          }
+        });
+        checkClientAndServer(thisClient, dispatcher, serverOptions);
+      });
+      it('should fail the rpc if the handler is rejected', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'message': 'broken',
+                'code': dorusu.rpcCode('UNKNOWN')
+              });
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var dispatcher = dorusu.makeDispatcher({
+          '/x': function() {
+            return Promise.reject(new Error('broken'));
+          }
+        });
+        checkClientAndServer(thisClient, dispatcher, serverOptions);
+      });
+      it('should call the handlers with the table as `this`', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theData = [];
+            response.on('data', function(data) {
+              theData.push(data.toString());
+            });
+            response.on('end', function() {
+              expect(theData).to.deep.equal([reply]);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        var table = {
+          reply: reply,
+          '/x': function(request, response) {
+            response.end(this.reply);
+          }
+        };
+        var dispatcher = dorusu.makeDispatcher(table);
+        checkClientAndServer(thisClient, dispatcher, serverOptions);
+      });
     });
     describe(connType + ': `dorusu.unavailable`', function() {
-      it('should respond with rpcCode 404', function(done) {
+      it('should respond with rpcCode UNAVAILABLE', function(done) {
         var thisClient = function(srv, stub) {
           stub.post(path, msg, function(response) {
             var theStatus;
@@ -377,6 +752,421 @@ describe('RpcServer', function() {
         checkClientAndServer(thisClient, dorusu.unavailable, serverOptions);
       });
     });
+    describe(connType + ': compression', function() {
+      it('should decode compressed requests', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(reply);
+            });
+            response.on('end', function() {
+              srv.close();
+              done();
+            });
+          }, {compression: 'gzip'});
+        };
+        var thisTest = function(request, response) {
+          expect(request.headers['grpc-encoding']).to.equal('gzip');
+          request.once('data', function(data) {
+            expect(data.toString()).to.equal(msg);
+            response.end(reply);
+          });
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+      it('should compress responses if the client accepts it', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            expect(response.headers['grpc-encoding']).to.equal('deflate');
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(reply);
+            });
+            response.on('end', function() {
+              srv.close();
+              done();
+            });
+          });
+        };
+        var thisTest = function(request, response) {
+          request.once('data', function(data) {
+            expect(data.toString()).to.equal(msg);
+            response.end(reply);
+          });
+        };
+        var compressedOptions = _.clone(serverOptions);
+        compressedOptions.compression = 'deflate';
+        checkClientAndServer(thisClient, thisTest, compressedOptions);
+      });
+      it('should compress responses using the response compression',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             stub.post(path, msg, function(response) {
+               expect(response.headers['grpc-encoding']).to.equal('gzip');
+               response.on('data', function(data) {
+                 expect(data.toString()).to.equal(reply);
+               });
+               response.on('end', function() {
+                 srv.close();
+                 done();
+               });
+             });
+           };
+           var thisTest = function(request, response) {
+             response.compression = 'gzip';
+             request.once('data', function() {
+               response.end(compression.uncompressed(reply));
+             });
+           };
+           checkClientAndServer(thisClient, thisTest, serverOptions);
+         });
+      it('should throw if the compression is set after headers are sent',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             stub.post(path, msg, function(response) {
+               response.on('data', _.noop);
+               response.on('end', function() {
+                 srv.close();
+                 done();
+               });
+             });
+           };
+           var thisTest = function(request, response) {
+             request.once('data', function() {
+               response.write(reply);
+               expect(function() {
+                 response.compression = 'gzip';
+               }).to.throw(Error);
+               response.end();
+             });
+           };
+           checkClientAndServer(thisClient, thisTest, serverOptions);
+         });
+      it('should respond UNIMPLEMENTED on unsupported encodings', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('error', _.noop);
+            response.on('end', function() {
+              expect(theStatus.code).to.equal(dorusu.rpcCode('UNIMPLEMENTED'));
+              expect(response.headers['grpc-accept-encoding']).to.equal(
+                compression.acceptEncoding());
+              srv.close();
+              done();
+            });
+          }, {headers: {'grpc-encoding': 'snappy'}});
+        };
+        var thisTest = function() {
+          done(new Error('the handler should not be called'));
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+    });
+    describe(connType + ': message length limits', function() {
+      var checkExhausted = function checkExhausted(srv, done) {
+        return function(response) {
+          var theStatus;
+          response.on('data', _.noop);
+          response.on('error', _.noop);
+          response.on('status', function(status) {
+            theStatus = status;
+          });
+          response.on('end', function() {
+            expect(theStatus.code).to.equal(
+              dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+            srv.close();
+            done();
+          });
+        };
+      };
+      it('should fail rpcs whose requests are too long', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, checkExhausted(srv, done));
+        };
+        var thisTest = function(request) {
+          request.on('data', function() {
+            done(new Error('the request should not be received'));
+          });
+        };
+        var limitedOptions = _.clone(serverOptions);
+        limitedOptions.maxReceiveMessageLength = 4;
+        checkClientAndServer(thisClient, thisTest, limitedOptions);
+      });
+      it('should fail rpcs whose responses are too long', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post(path, 'hi', checkExhausted(srv, done));
+        };
+        var thisTest = function(request, response) {
+          request.once('data', function() {
+            response.end(reply);
+          });
+        };
+        var limitedOptions = _.clone(serverOptions);
+        limitedOptions.maxSendMessageLength = 4;
+        checkClientAndServer(thisClient, thisTest, limitedOptions);
+      });
+      it('should use the limits of the method', function(done) {
+        var thisClient = function(srv, stub) {
+          stub.post('/limited/echo', 'abc', checkExhausted(srv, done));
+        };
+        var appOptions = _.clone(serverOptions);
+        appOptions.app = limitedApp;
+        checkClientAndServer(thisClient, _.noop, appOptions);
+      });
+      it('should fail rpcs that send long messages on the client',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             var req = stub.post(path, msg, function() {
+               done(new Error('no response should be received'));
+             }, {maxSendMessageLength: 4});
+             req.on('status', function(status) {
+               expect(status.code).to.equal(
+                 dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+               srv.close();
+               done();
+             });
+           };
+           checkClientAndServer(thisClient, _.noop, serverOptions);
+         });
+      it('should enforce a client send limit of 0', function(done) {
+        var thisClient = function(srv, stub) {
+          var req = stub.post(path, msg, function() {
+            done(new Error('no response should be received'));
+          }, {maxSendMessageLength: 0});
+          req.on('status', function(status) {
+            expect(status.code).to.equal(dorusu.rpcCode('RESOURCE_EXHAUSTED'));
+            srv.close();
+            done();
+          });
+        };
+        checkClientAndServer(thisClient, _.noop, serverOptions);
+      });
+      it('should fail rpcs that receive long messages on the client',
+         function(done) {
+           var thisClient = function(srv, stub) {
+             stub.post(path, msg, checkExhausted(srv, done),
+                       {maxReceiveMessageLength: 4});
+           };
+           var thisTest = function(request, response) {
+             request.once('data', function() {
+               response.end(reply);
+             });
+           };
+           checkClientAndServer(thisClient, thisTest, serverOptions);
+         });
+    });
+    describeIterates(connType + ': async iteration', function() {
+      it('should iterate over the request messages', function(done) {
+        var thisClient = function(srv, stub) {
+          var msgs = new Readable();
+          msgs.push(msg);
+          msgs.push(msg);
+          msgs.push(null);
+          stub.rpcFunc()(path, msgs, function(response) {
+            var got = [];
+            response.on('data', function(data) {
+              got.push(data.toString());
+            });
+            response.on('end', function() {
+              expect(got).to.deep.equal([reply + 2]);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        // thisTest counts the request messages using the async iterator.
+        var thisTest = function(request, response) {
+          var it = request[Symbol.asyncIterator]();
+          var count = 0;
+          var loop = function loop() {
+            return it.next().then(function(res) {
+              if (res.done) {
+                response.end(reply + count);
+                return;
+              }
+              expect(res.value.toString()).to.equal(msg);
+              count += 1;
+              return loop();
+            });
+          };
+          loop();
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+    });
+    describe(connType + ': async handlers', function() {
+      var asyncOptions = _.clone(serverOptions);
+      asyncOptions.app = asyncApp;
+      var checkAsync = function(route, src, want, wantStatus, done) {
+        var thisClient = function(srv, stub) {
+          stub.rpcFunc()(route, src, function(response) {
+            var got = [];
+            var theStatus;
+            response.on('data', function(data) {
+              got.push(data.toString());
+            });
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(got).to.deep.equal(want);
+              expect(theStatus).to.deep.equal(wantStatus);
+              srv.close();
+              done();
+            });
+          });
+        };
+        checkClientAndServer(thisClient, _.noop, asyncOptions);
+      };
+      var ok = {
+        'message': '',
+        'code': dorusu.rpcCode('OK')
+      };
+      it('should respond with the result of unary handlers', function(done) {
+        checkAsync('/async/unary', msg, [msg + ' reply'], ok, function() {
+          expect(asyncContext).to.be.an.instanceof(CallContext);
+          done();
+        });
+      });
+      itIterates('should respond with the messages yielded by handlers', function(done) {
+        checkAsync('/async/serverStream', msg, [msg + ' 1', msg + ' 2'], ok,
+                   done);
+      });
+      itIterates('should pass the request to client streaming handlers', function(done) {
+        var msgs = new Readable();
+        msgs.push('a');
+        msgs.push('b');
+        msgs.push(null);
+        checkAsync('/async/clientStream', msgs, ['a,b'], ok, done);
+      });
+      it('should fail the rpc if the handler is rejected', function(done) {
+        var status = {
+          'message': 'aborted',
+          'code': dorusu.rpcCode('ABORTED')
+        };
+        checkAsync('/async/broken', msg, [], status, done);
+      });
+      it('should fail a unary rpc if the handler returns nothing',
+         function(done) {
+           var status = {
+             'message': 'No response message was returned',
+             'code': dorusu.rpcCode('INTERNAL')
+           };
+           checkAsync('/async/empty', msg, [], status, done);
+         });
+      it('should pass the response to handlers registered without async',
+         function(done) {
+           checkAsync('/async/plain', msg, [msg + ' plain'], ok, done);
+         });
+    });
+    describe(connType + ': cancellation', function() {
+      it('should not cancel rpcs that complete normally', function(done) {
+        var ctx;
+        var cancelled = false;
+        var thisTest = function(request, response) {
+          ctx = request.context;
+          request.on('cancel', function() {
+            cancelled = true;
+          });
+          request.once('data', function() {
+            response.end(reply);
+          });
+        };
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            response.on('data', _.noop);
+            response.on('end', function() {
+              setTimeout(function() {
+                expect(cancelled).to.equal(false);
+                expect(ctx.cancelled).to.equal(false);
+                expect(ctx.signal.aborted).to.equal(false);
+                srv.close();
+                done();
+              }, 20);
+            });
+          });
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+      it('should not cancel child rpcs when the parent completes normally',
+         function(done) {
+           var stub, srv;
+           var thisTest = function(request, response) {
+             request.once('data', function() {
+               if (request.url === '/child') {
+                 setTimeout(function() {
+                   response.end(reply);
+                 }, 50);
+                 return;
+               }
+               var child = stub.post('/child', msg, function(childResponse) {
+                 childResponse.on('data', _.noop);
+                 childResponse.on('status', function(status) {
+                   expect(status.code).to.equal(dorusu.rpcCode('OK'));
+                   srv.close();
+                   done();
+                 });
+               }, {parent: request});
+               child.on('cancel', function() {
+                 done(new Error('the child rpc should not be cancelled'));
+               });
+               response.end(reply);
+             });
+           };
+           var thisClient = function(server, theStub) {
+             srv = server;
+             stub = theStub;
+             stub.post(path, msg, function(response) {
+               response.on('data', _.noop);
+             });
+           };
+           checkClientAndServer(thisClient, thisTest, serverOptions);
+         });
+      it('should cancel rpcs that the client cancels', function(done) {
+        var thisTest = function(request) {
+          request.once('cancel', function() {
+            expect(request.context.signal.aborted).to.equal(true);
+            done();
+          });
+        };
+        var thisClient = function(srv, stub) {
+          var req = stub.post(path, msg, _.noop);
+          req.on('status', _.noop);
+          setTimeout(function() {
+            req.cancel();
+            srv.close();
+          }, 50);
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+      it('should cancel rpcs whose connection is lost', function(done) {
+        var sockets = [];
+        var srv = makeRpcServer(serverOptions, function(request) {
+          request.once('data', function() {
+            request.once('cancel', function() {
+              expect(request.context.cancelled).to.equal(true);
+              srv.close();
+              done();
+            });
+            sockets[0].destroy();
+          });
+        });
+        srv._server.on('connection', function(socket) {
+          sockets.push(socket);
+        });
+        listenOnFreePort(srv, function(addr) {
+          var stubOpts = {log: clientLog};
+          _.merge(stubOpts, addr, serverOptions);
+          var req = new Stub(stubOpts).post(path, msg, _.noop);
+          req.on('status', _.noop);
+        });
+      });
+    });
     describe(connType + ': simple request/response', function() {
       it('should work as expected', function(done) {
         var thisClient = function(srv, stub) {
@@ -457,6 +1247,103 @@ describe('RpcServer', function() {
         };
         checkClientAndServer(thisClient, thisTest, serverOptions);
       });
+      it('should send status messages that need encoding', function(done) {
+        var statusMsg = '\t\ntest with whitespace\r\nand Unicode BMP ☺ and ' +
+            'non-BMP 😈\t\n' + _.repeat('100% ☺', 500);
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'message': statusMsg,
+                'code': testCode
+              });
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        // thisTest sends a status message with unicode and control characters.
+        var thisTest = function(request, response) {
+          request.once('data', function() {
+            response.rpcMessage = statusMsg;
+            response.rpcCode = testCode;
+            response.end(reply);
+          });
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+      it('should send the details of a failed status', function(done) {
+        var details = [{
+          '@type': 'google.rpc.BadRequest',
+          'field_violations': [{'field': 'name', 'description': 'missing'}]
+        }];
+        var code = dorusu.rpcCode('INVALID_ARGUMENT');
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'code': code,
+                'message': testStatusMsg,
+                'details': details
+              });
+              expect(response.metadata).to.deep.equal(nonBinMd);
+              srv.close();
+              done();
+            });
+          });
+        };
+
+        // thisTest fails the rpc with an RpcError that has details.
+        var thisTest = function(request, response) {
+          request.once('data', function() {
+            response.endWithError(
+              new dorusu.RpcError(code, testStatusMsg, nonBinMd, details));
+          });
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
+      it('should drop status details of an unknown type', function(done) {
+        var details = [{'@type': 'test.NotADetail'}];
+        var code = dorusu.rpcCode('INVALID_ARGUMENT');
+        var thisClient = function(srv, stub) {
+          stub.post(path, msg, function(response) {
+            var theStatus;
+            response.on('data', _.noop);
+            response.on('error', _.noop);
+            response.on('status', function(status) {
+              theStatus = status;
+            });
+            response.on('end', function() {
+              expect(theStatus).to.deep.equal({
+                'code': code,
+                'message': testStatusMsg
+              });
+              srv.close();
+              done();
+            });
+          });
+        };
+        var thisTest = function(request, response) {
+          request.once('data', function() {
+            response.endWithError(
+              new dorusu.RpcError(code, testStatusMsg, {}, details));
+          });
+        };
+        checkClientAndServer(thisClient, thisTest, serverOptions);
+      });
       it('should send non-binary trailers ok', function(done) {
         var want = _.clone(nonBinMd);
         var thisClient = function(srv, stub) {
@@ -647,6 +1534,245 @@ describe('RpcServer', function() {
       });
     });
   });
+  describe('CallContext', function() {
+    var fakeRequest = function(deadline) {
+      var request = new EventEmitter();
+      request.url = path;
+      request.metadata = {a: 'b'};
+      request.deadline = deadline;
+      return request;
+    };
+    it('should describe the deadline', function() {
+      var deadline = Date.now() + 10000;
+      var ctx = new CallContext(fakeRequest(deadline));
+      expect(ctx.deadline.getTime()).to.equal(deadline);
+      expect(ctx.timeRemaining()).to.be.within(1, 10000);
+      expect(ctx.metadata).to.deep.equal({a: 'b'});
+      expect(ctx.peer).to.equal(undefined);
+      expect(ctx.peerCertificate).to.equal(undefined);
+    });
+    it('should signal when the request is cancelled', function() {
+      var request = fakeRequest();
+      var ctx = new CallContext(request);
+      var seen = [];
+      ctx.signal.onabort = function(event) {
+        seen.push('onabort:' + event.type);
+      };
+      ctx.signal.addEventListener('abort', function(event) {
+        seen.push('listener:' + event.type);
+      });
+      ctx.on('cancel', function() {
+        seen.push('cancel');
+      });
+      expect(ctx.cancelled).to.equal(false);
+      request.emit('cancel');
+      expect(ctx.cancelled).to.equal(true);
+      expect(ctx.signal.aborted).to.equal(true);
+      expect(seen).to.deep.equal(
+        ['onabort:abort', 'listener:abort', 'cancel']);
+      expect(ctx.signal.reason.code).to.equal(dorusu.rpcCode('CANCELLED'));
+      expect(() => ctx.signal.throwIfAborted()).to.throw(
+        dorusu.RpcError, 'Rpc was cancelled');
+    });
+    it('should not throw from throwIfAborted before cancellation', function() {
+      var ctx = new CallContext(fakeRequest());
+      expect(() => ctx.signal.throwIfAborted()).to.not.throw();
+      expect(ctx.signal.reason).to.equal(undefined);
+    });
+    it('should store values', function() {
+      var ctx = new CallContext(fakeRequest());
+      expect(ctx.has('key')).to.equal(false);
+      expect(ctx.set('key', 'value')).to.equal(ctx);
+      expect(ctx.has('key')).to.equal(true);
+      expect(ctx.get('key')).to.equal('value');
+    });
+  });
+  describe('deadline enforcement', function() {
+    // The requests here are made with the base http2 client, as the rpc
+    // client cancels its own rpcs once their deadline passes.
+    it('should end the response with DEADLINE_EXCEEDED', function(done) {
+      var events = [];
+      var srv = makeRpcServer(insecureOptions, function(request, response) {
+        request.on('data', _.noop);
+        request.on('deadline', function() {
+          events.push('deadline');
+        });
+        request.on('cancel', function() {
+          events.push('cancel');
+          expect(response.cancelled).to.equal(true);
+          expect(response.write(reply)).to.equal(false);
+        });
+      });
+      listenOnFreePort(srv, function(addr, server) {
+        var req = http2.raw.request({
+          host: 'localhost',
+          port: addr.port,
+          path: path,
+          method: 'POST',
+          headers: {
+            'content-type': 'application/grpc',
+            'te': 'trailers',
+            'grpc-timeout': '50m'
+          }
+        }, function(response) {
+          response.on('data', _.noop);
+          response.on('end', function() {
+            var code = dorusu.rpcCode('DEADLINE_EXCEEDED');
+            expect(response.trailers['grpc-status']).to.eql(String(code));
+            expect(events).to.deep.equal(['deadline', 'cancel']);
+            server.close();
+            done();
+          });
+        });
+        encodeMessage(msg, null, function(encoded) {
+          req.end(encoded);
+        });
+      });
+    });
+  });
+  describe('shutdown', function() {
+    // postRpc sends an rpc using stub, calling onStatus with its status.
+    var postRpc = function postRpc(stub, onStatus) {
+      onStatus = _.once(onStatus);
+      var req = stub.post(path, msg, function(response) {
+        var theStatus;
+        response.on('data', _.noop);
+        response.on('error', _.noop);
+        response.on('status', function(status) {
+          theStatus = status;
+        });
+        response.on('end', function() {
+          onStatus(theStatus);
+        });
+      });
+
+      // The rpc fails without a response if it's reset before responding.
+      req.on('status', onStatus);
+    };
+    var startRpc = function startRpc(handler, onStarted, onStatus) {
+      var stub;
+      var srv = makeRpcServer(insecureOptions, function(request, response) {
+        request.once('data', function() {
+          handler(request, response);
+          onStarted(srv, stub);
+        });
+      });
+      listenOnFreePort(srv, function(addr) {
+        var stubOpts = {log: clientLog};
+        _.merge(stubOpts, addr, insecureOptions);
+        stub = new Stub(stubOpts);
+        postRpc(stub, onStatus);
+      });
+    };
+    var shutdownFinished = function shutdownFinished(count, done) {
+      return _.after(count, function() {
+        done();
+      });
+    };
+    describe('method `tryShutdown`', function() {
+      it('should call back once a server without rpcs is closed', function(done) {
+        var srv = makeRpcServer(insecureOptions, _.noop);
+        listenOnFreePort(srv, function() {
+          srv.tryShutdown(function(err) {
+            expect(err).to.equal(undefined);
+            done();
+          });
+        });
+      });
+      it('should let the in-flight rpcs finish', function(done) {
+        var finished = shutdownFinished(2, done);
+        var handler = function(request, response) {
+          setTimeout(function() {
+            response.end(reply);
+          }, 50);
+        };
+        startRpc(handler, function(srv) {
+          srv.tryShutdown(function(err) {
+            expect(err).to.equal(undefined);
+            finished();
+          });
+        }, function(status) {
+          expect(status.code).to.equal(dorusu.rpcCode('OK'));
+          finished();
+        });
+      });
+      it('should refuse rpcs started after it is called', function(done) {
+        var finished = shutdownFinished(3, done);
+        var handled = 0;
+        var handler = function(request, response) {
+          handled += 1;
+          setTimeout(function() {
+            response.end(reply);
+          }, 50);
+        };
+        startRpc(handler, function(srv, stub) {
+          srv.tryShutdown(function(err) {
+            expect(err).to.equal(undefined);
+            expect(handled).to.equal(1);
+            finished();
+          });
+          postRpc(stub, function(status) {
+            expect(status.code).to.equal(dorusu.rpcCode('UNAVAILABLE'));
+            finished();
+          });
+        }, function(status) {
+          expect(status.code).to.equal(dorusu.rpcCode('OK'));
+          finished();
+        });
+      });
+      it('should send GOAWAY to clients while rpcs are in flight',
+         function(done) {
+           var finished = shutdownFinished(2, done);
+           var states = [];
+           var handler = function(request, response) {
+             setTimeout(function() {
+               // The client stops using the connection once it sees GOAWAY.
+               expect(states).to.eql([dorusu.client.connectivityState.IDLE]);
+               response.end(reply);
+             }, 50);
+           };
+           startRpc(handler, function(srv, stub) {
+             stub.on('state', function(state) {
+               states.push(state);
+             });
+             srv.tryShutdown(finished);
+           }, function(status) {
+             expect(status.code).to.equal(dorusu.rpcCode('OK'));
+             finished();
+           });
+         });
+      it('should cancel the rpcs still in-flight after the drain timeout',
+         function(done) {
+           var finished = shutdownFinished(2, done);
+           startRpc(_.noop, function(srv) {
+             srv.tryShutdown({drainTimeout: 50}, function(err) {
+               expect(err).to.be.an.instanceof(Error);
+               finished();
+             });
+           }, function(status) {
+             expect(status.code).to.equal(dorusu.rpcCode('CANCELLED'));
+             finished();
+           });
+         });
+    });
+    describe('method `forceShutdown`', function() {
+      it('should cancel the in-flight rpcs', function(done) {
+        var finished = shutdownFinished(3, done);
+        var handler = function(request, response) {
+          request.on('cancel', function() {
+            expect(response.write(reply)).to.equal(false);
+            finished();
+          });
+        };
+        startRpc(handler, function(srv) {
+          srv.forceShutdown(finished);
+        }, function(status) {
+          expect(status.code).to.equal(dorusu.rpcCode('CANCELLED'));
+          finished();
+        });
+      });
+    });
+  });
 });
 
 function makeRpcServer(opts, serverExpects) {
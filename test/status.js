@@ -0,0 +1,106 @@
+/*
+ *
+ * Copyright 2015, Google Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Google Inc. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ */
+'use strict';
+
+var chai = require('chai');
+chai.use(require('dirty-chai'));
+var expect = chai.expect;
+var status = require('../lib/status');
+var ProtoBuf = require('protobufjs');
+
+describe('status', function() {
+  var badRequest = {
+    '@type': 'google.rpc.BadRequest',
+    'field_violations': [{
+      'field': 'name',
+      'description': 'name is required'
+    }]
+  };
+  describe('method `pack(detail)`', function() {
+    it('should pack a known detail type', function() {
+      var packed = status.pack(badRequest);
+      expect(packed.type_url).to.equal(
+        'type.googleapis.com/google.rpc.BadRequest');
+      expect(packed.value).to.be.an.instanceof(Buffer);
+    });
+    it('should leave packed details unchanged', function() {
+      var packed = {'type_url': 'x/y.Z', 'value': new Buffer('abc')};
+      expect(status.pack(packed)).to.equal(packed);
+    });
+    it('should throw for unknown detail types', function() {
+      expect(function() {
+        status.pack({'@type': 'not.Known'});
+      }).to.throw(RangeError);
+    });
+  });
+  describe('method `unpack(any)`', function() {
+    it('should unpack packed details', function() {
+      expect(status.unpack(status.pack(badRequest))).to.eql(badRequest);
+    });
+    it('should keep the value of unknown detail types', function() {
+      var packed = {'type_url': 'x/y.Z', 'value': new Buffer('abc')};
+      expect(status.unpack(packed)).to.eql({
+        '@type': 'y.Z',
+        'value': new Buffer('abc')
+      });
+    });
+  });
+  describe('method `decode(encoded)`', function() {
+    it('should decode encoded statuses', function() {
+      var retryInfo = {
+        '@type': 'google.rpc.RetryInfo',
+        'retry_delay': {'seconds': '3', 'nanos': 0}
+      };
+      var want = {
+        'code': 3,
+        'message': 'a bad request',
+        'details': [badRequest, retryInfo]
+      };
+      expect(status.decode(status.encode(want))).to.eql(want);
+    });
+  });
+  describe('method `register(typeName, Message)`', function() {
+    it('should allow other detail types to be used', function() {
+      var builder = ProtoBuf.loadProto(
+        'syntax = "proto3"; package test; message Extra { string why = 1; }');
+      status.register('test.Extra', builder.build('test.Extra'));
+      var extra = {'@type': 'test.Extra', 'why': 'because'};
+      expect(status.unpack(status.pack(extra))).to.eql(extra);
+    });
+    it('should throw if the type is not a message class', function() {
+      expect(function() {
+        status.register('test.Bad', {});
+      }).to.throw(TypeError);
+    });
+  });
+});